@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+import * as fs from 'fs'
+import * as path from 'path'
+import { parseArgs } from 'util'
+import { fileURLToPath } from 'url'
+import dotenv from 'dotenv'
+import { createProvider, createWatermarkRemover } from '../src/index.js'
+import { getTilingConfig } from '../src/tiles.js'
+import { parseOutputOptions } from '../src/output.js'
+import {
+    createPromptPresets,
+    parsePromptHint,
+    REMOVAL_MODES,
+} from '../src/prompts.js'
+import { createRunState, listInputFiles, writeReport } from '../src/bulk.js'
+
+const USAGE = `Usage: watermark remove <dir|file|glob>... [options]
+
+Remove watermarks from local images, mirroring the input folders in --out.
+Files finished by an earlier run into the same --out are skipped.
+
+Options:
+  --out <dir>           Output directory (default: ./watermark-output)
+  --concurrency <n>     Images processed at once (default: 1)
+  --detect-only         Only detect watermarks; no images are written
+  --format <format>     Output format: jpeg, png, webp, avif, tiff or gif
+                        (default: the input's format)
+  --quality <1-100>     Encoder quality for JPEG, WebP, AVIF and TIFF
+  --metadata <mode>     none, icc or all (default: OUTPUT_METADATA or icc)
+  --mode <mode>         standard or structured (default: REMOVAL_MODE)
+  --preset <name>       Prompt preset from prompts/ (default: PROMPT_PRESET)
+  --hint <text>         Description of the watermark, e.g. its wording
+  --tiling <mode>       auto, on or off (default: TILING or off)
+  --provider <name>     Watermark provider (default: WATERMARK_PROVIDER)
+  --report <file>       Write the report only to this .json or .csv file
+                        (default: report.json and report.csv in --out)
+  --force               Process every file again, ignoring earlier runs
+  --verbose             Log each pipeline step
+  -h, --help            Show this help
+`
+
+const STATE_FILE = '.watermark-state.json'
+
+// Helper function to stop with an error message and the usage text
+function fail(message) {
+    console.error(`Error: ${message}\n\n${USAGE}`)
+    process.exit(2)
+}
+
+// Helper function to read the command line into options
+function readOptions(argv) {
+    let parsed
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                out: { type: 'string', default: 'watermark-output' },
+                concurrency: { type: 'string', default: '1' },
+                'detect-only': { type: 'boolean', default: false },
+                format: { type: 'string' },
+                quality: { type: 'string' },
+                metadata: { type: 'string' },
+                mode: { type: 'string' },
+                preset: { type: 'string' },
+                hint: { type: 'string' },
+                tiling: { type: 'string' },
+                provider: { type: 'string' },
+                report: { type: 'string' },
+                force: { type: 'boolean', default: false },
+                verbose: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        })
+    } catch (error) {
+        fail(error.message)
+    }
+
+    const { values, positionals } = parsed
+    if (values.help) {
+        console.log(USAGE)
+        process.exit(0)
+    }
+
+    const [command, ...inputs] = positionals
+    if (command !== 'remove') {
+        fail(command ? `Unknown command "${command}"` : 'No command given')
+    }
+    if (inputs.length === 0) {
+        fail('No input directory, file or glob given')
+    }
+
+    const concurrency = Number(values.concurrency)
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        fail('--concurrency must be a positive integer')
+    }
+
+    const mode = values.mode || process.env.REMOVAL_MODE || 'standard'
+    if (!REMOVAL_MODES[mode]) {
+        fail(
+            `Invalid mode. Supported modes: ${Object.keys(REMOVAL_MODES).join(
+                ', '
+            )}`
+        )
+    }
+
+    const tiling = values.tiling || getTilingConfig().mode
+    if (!['auto', 'on', 'off'].includes(tiling)) {
+        fail('Invalid tiling option. Supported values: auto, on, off')
+    }
+
+    let output
+    let hint
+    try {
+        output = parseOutputOptions(values)
+        hint = parsePromptHint(values.hint)
+    } catch (error) {
+        fail(error.message)
+    }
+
+    return {
+        inputs,
+        outDir: values.out,
+        concurrency,
+        detectOnly: values['detect-only'],
+        output,
+        mode,
+        preset: values.preset,
+        hint,
+        tiling,
+        provider: values.provider,
+        report: values.report,
+        force: values.force,
+        verbose: values.verbose,
+    }
+}
+
+// Helper function to log pipeline messages: warnings and errors only,
+// unless --verbose is set
+function createConsoleLog(verbose) {
+    return (message, type = 'info') => {
+        if (verbose || type === 'warn' || type === 'error') {
+            console.error(`[${type.toUpperCase()}] ${message}`)
+        }
+    }
+}
+
+// Helper function to pick an output path no other input of this run has used
+function uniqueOutputPath(outputPath, usedPaths) {
+    const ext = path.extname(outputPath)
+    const base = outputPath.slice(0, outputPath.length - ext.length)
+    let candidate = outputPath
+    let counter = 1
+    while (usedPaths.has(candidate)) {
+        candidate = `${base}_${counter}${ext}`
+        counter++
+    }
+    usedPaths.add(candidate)
+    return candidate
+}
+
+async function main() {
+    dotenv.config()
+    const options = readOptions(process.argv.slice(2))
+    const log = createConsoleLog(options.verbose)
+
+    const provider = createProvider(options.provider)
+    if (provider.credentials && !provider.credentials.configured) {
+        console.error(
+            `Error: ${provider.credentials.env} is not set for the ${provider.name} provider`
+        )
+        process.exit(2)
+    }
+
+    // Check the preset before any file is read
+    const promptPresets = createPromptPresets({
+        dir:
+            process.env.PROMPTS_DIR ||
+            fileURLToPath(new URL('../prompts', import.meta.url)),
+        defaultPreset: process.env.PROMPT_PRESET || 'generic',
+        log,
+    })
+    try {
+        promptPresets.resolve(options.preset)
+    } catch (error) {
+        fail(error.message)
+    }
+
+    const remover = createWatermarkRemover({
+        provider,
+        logger: log,
+        promptPresets,
+    })
+
+    // Earlier outputs are never taken as inputs, even when --out is inside
+    // an input directory
+    const outRoot = `${path.resolve(options.outDir)}${path.sep}`
+    let files
+    try {
+        files = listInputFiles(options.inputs).filter(
+            (file) => !path.resolve(file.path).startsWith(outRoot)
+        )
+    } catch (error) {
+        fail(error.message)
+    }
+    if (files.length === 0) {
+        fail('No supported images found')
+    }
+
+    const operation = options.detectOnly ? 'detect' : 'remove'
+    const state = createRunState(path.join(options.outDir, STATE_FILE))
+    const entries = new Array(files.length)
+    let finished = 0
+
+    // Files finished by an earlier run keep their entry, as long as the
+    // input is unchanged and its output still exists. Their outputs are
+    // reserved before any new file is written.
+    const keyOf = (file) => `${operation}:${path.resolve(file.path)}`
+    const previousEntries = files.map((file) => {
+        const previous = options.force
+            ? null
+            : state.get(keyOf(file), file.path)
+        return previous &&
+            (!previous.output ||
+                fs.existsSync(path.join(options.outDir, previous.output)))
+            ? previous
+            : null
+    })
+    const usedOutputs = new Set(
+        previousEntries
+            .filter((entry) => entry && entry.output)
+            .map((entry) => path.join(options.outDir, entry.output))
+    )
+
+    console.log(
+        `${options.detectOnly ? 'Detecting watermarks in' : 'Removing watermarks from'} ${files.length} image(s) with the ${provider.name} provider`
+    )
+
+    // Helper function to process one image and return its report entry
+    async function processFile(file, previous) {
+        if (previous) {
+            return { ...previous, resumed: true }
+        }
+
+        const startedAt = Date.now()
+        const entry = {
+            file: file.path,
+            output: null,
+            status: null,
+            hasWatermark: null,
+            watermarkRemoved: null,
+            watermarkType: null,
+            location: null,
+            confidence: null,
+            explanation: null,
+            ssim: null,
+            durationMs: null,
+            resumed: false,
+            error: null,
+        }
+
+        try {
+            const imageData = fs.readFileSync(file.path)
+            if (options.detectOnly) {
+                const result = await remover.detectWatermark(imageData, {
+                    filename: file.path,
+                })
+                Object.assign(entry, {
+                    status: result.parseError ? 'failed' : 'detected',
+                    hasWatermark: result.hasWatermark,
+                    watermarkType: result.watermarkType ?? null,
+                    location: result.location ?? null,
+                    confidence: result.confidence ?? null,
+                    explanation: result.explanation ?? null,
+                    error: result.parseError || null,
+                })
+            } else {
+                const { image, filename, ...result } =
+                    await remover.removeWatermark(imageData, {
+                        filename: file.path,
+                        mode: options.mode,
+                        preset: options.preset,
+                        hint: options.hint,
+                        tiling: options.tiling,
+                        output: options.output,
+                    })
+                const outputPath = uniqueOutputPath(
+                    path.join(
+                        options.outDir,
+                        path.dirname(file.relative),
+                        filename
+                    ),
+                    usedOutputs
+                )
+                fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+                fs.writeFileSync(outputPath, image)
+                Object.assign(entry, {
+                    output: path.relative(options.outDir, outputPath),
+                    status: result.watermarkRemoved ? 'processed' : 'unchanged',
+                    hasWatermark: result.hasWatermark ?? null,
+                    watermarkRemoved: result.watermarkRemoved,
+                    watermarkType: result.watermarkType ?? null,
+                    location: result.location ?? null,
+                    confidence: result.confidence ?? null,
+                    explanation: result.explanation ?? result.text,
+                    ssim: result.quality ? result.quality.ssim : null,
+                    error: result.parseError || null,
+                })
+            }
+        } catch (error) {
+            entry.status = 'failed'
+            // Library errors keep the provider's own message as their cause
+            entry.error = error.cause
+                ? `${error.message} (${error.cause.message})`
+                : error.message
+        }
+        entry.durationMs = Date.now() - startedAt
+
+        // Failed files are tried again by the next run
+        if (entry.status !== 'failed') {
+            state.set(keyOf(file), file.path, entry)
+        }
+        return entry
+    }
+
+    // Run up to --concurrency files at once, reporting each as it finishes
+    let next = 0
+    async function worker() {
+        while (next < files.length) {
+            const index = next++
+            const entry = await processFile(
+                files[index],
+                previousEntries[index]
+            )
+            entries[index] = entry
+            finished++
+            const outcome = entry.resumed
+                ? 'already done, skipped'
+                : entry.status === 'failed'
+                  ? `failed: ${entry.error}`
+                  : entry.output
+                    ? `${entry.status} -> ${path.join(options.outDir, entry.output)}`
+                    : `hasWatermark: ${entry.hasWatermark}`
+            console.log(
+                `[${finished}/${files.length}] ${files[index].path}: ${outcome}`
+            )
+        }
+    }
+    await Promise.all(
+        Array.from(
+            { length: Math.min(options.concurrency, files.length) },
+            () => worker()
+        )
+    )
+
+    const count = (status) =>
+        entries.filter((entry) => entry.status === status).length
+    const summary = {
+        operation,
+        provider: provider.name,
+        finishedAt: new Date().toISOString(),
+        total: entries.length,
+        processed: count('processed'),
+        unchanged: count('unchanged'),
+        detected: count('detected'),
+        failed: count('failed'),
+        resumed: entries.filter((entry) => entry.resumed).length,
+    }
+    const reports = options.report
+        ? [options.report]
+        : ['report.json', 'report.csv'].map((name) =>
+              path.join(options.outDir, name)
+          )
+    for (const report of reports) {
+        writeReport(report, entries, summary)
+    }
+
+    console.log(
+        `Done: ${summary.processed} processed, ${summary.unchanged} unchanged, ${summary.detected} detected, ${summary.failed} failed, ${summary.resumed} skipped from earlier runs. Report: ${reports.join(', ')}`
+    )
+    process.exit(summary.failed > 0 ? 1 : 0)
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`)
+    process.exit(1)
+})
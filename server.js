@@ -1,49 +1,153 @@
 import { serve } from '@hono/node-server'
 import { Hono } from 'hono'
-import { GoogleGenerativeAI } from '@google/generative-ai'
 import * as fs from 'fs'
 import * as path from 'path'
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto'
+import { Readable } from 'stream'
 import dotenv from 'dotenv'
 import { cors } from 'hono/cors'
 import { serveStatic } from '@hono/node-server/serve-static'
-import sharp from 'sharp'
+import { streamSSE } from 'hono/streaming'
+import { routePath } from 'hono/route'
+import { bodyLimit } from 'hono/body-limit'
+import { HTTPException } from 'hono/http-exception'
+import { createProvider } from './src/providers/index.js'
+import { createJobQueue } from './src/jobs.js'
+import {
+    expandBatchUploads,
+    buildBatchArchive,
+    uniqueArchiveName,
+} from './src/batch.js'
+import { downloadImage } from './src/download.js'
+import { createApiKeyStore } from './src/apiKeys.js'
+import { rateLimit } from './src/rateLimit.js'
+import { addWatermark, normalizeWatermarkOptions } from './src/watermark.js'
+import { parseRegionOptions } from './src/region.js'
+import { getQualityConfig } from './src/quality.js'
+import {
+    buildCacheKey,
+    createResultCache,
+    hashImageContent,
+} from './src/cache.js'
+import { getTilingConfig } from './src/tiles.js'
+import { parseOutputOptions, sniffMimeType } from './src/output.js'
+import { createRetentionManager, getRetentionConfig } from './src/retention.js'
+import { createLogger, LOG_LEVELS } from './src/logger.js'
+import { createMetricsRegistry } from './src/metrics.js'
+import { createReadinessChecks, getReadinessConfig } from './src/health.js'
+import {
+    composeRemovalPrompt,
+    createPromptPresets,
+    parsePromptHint,
+    DETECTION_PROMPT,
+    REMOVAL_MODES,
+} from './src/prompts.js'
+import { sanitizeFilename } from './src/pipeline.js'
+import {
+    fileTooLargeError,
+    getUploadLimits,
+    UploadError,
+    validateImageUpload,
+} from './src/upload.js'
+import { createFileStorage, createWatermarkRemover } from './src/index.js'
+import { AppError, errorBody, toAppError } from './src/errors.js'
 
 // TODO:
-// - Add api keys, dashboards, and stripe for payments
-// - Add rate limiting
-// - Add remove watermark by urling a url
+// - Add dashboards and stripe for payments
 // - Add image editing endpoint
-// - Add watermarking endpoint
 
 // Load environment variables first
 dotenv.config()
 
-// Initialize logging function
-const getLogDir = () => {
-    const dir = path.join(process.cwd(), 'logs')
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true })
-    }
-    return dir
+// Initialize the structured logger (JSON lines in logs/, see LOG_LEVEL)
+const logDir = path.join(process.cwd(), 'logs')
+const logger = createLogger({
+    dir: logDir,
+    level: LOG_LEVELS.includes(process.env.LOG_LEVEL)
+        ? process.env.LOG_LEVEL
+        : 'info',
+    flushIntervalMs: Number(process.env.LOG_FLUSH_MS) || 1000,
+})
+const log = logger.log
+if (process.env.LOG_LEVEL && !LOG_LEVELS.includes(process.env.LOG_LEVEL)) {
+    log(
+        `Invalid LOG_LEVEL "${process.env.LOG_LEVEL}", using info. Supported levels: ${LOG_LEVELS.join(', ')}`,
+        'warn'
+    )
 }
 
-function log(message, type = 'info') {
-    const timestamp = new Date().toISOString()
-    const logMessage = `[${timestamp}] [${type.toUpperCase()}] ${message}\n`
-    console.log(logMessage.trim())
-
-    const logFile = path.join(
-        getLogDir(),
-        `${new Date().toISOString().split('T')[0]}.log`
-    )
-    fs.appendFileSync(logFile, logMessage)
+// Flush buffered log lines when the server is stopped
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        logger.flushSync()
+        process.exit(0)
+    })
 }
 
+// Prometheus metrics, served on /metrics
+const metricsRegistry = createMetricsRegistry({ prefix: 'watermark_' })
+const httpRequests = metricsRegistry.counter(
+    'http_requests_total',
+    'HTTP requests by route, status and outcome',
+    ['method', 'route', 'status', 'outcome']
+)
+const httpDuration = metricsRegistry.histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by route',
+    ['method', 'route']
+)
+const providerAttempts = metricsRegistry.counter(
+    'provider_attempts_total',
+    'Provider calls, including retries',
+    ['provider', 'operation']
+)
+const providerRetries = metricsRegistry.counter(
+    'provider_retries_total',
+    'Provider calls retried after a rate limit or overload',
+    ['provider', 'operation']
+)
+const providerErrors = metricsRegistry.counter(
+    'provider_errors_total',
+    'Failed provider calls by status (429, 503 or other)',
+    ['provider', 'operation', 'status']
+)
+const providerFinishReasons = metricsRegistry.counter(
+    'provider_finish_reasons_total',
+    'Removal responses by finish reason, such as STOP, SAFETY or RECITATION',
+    ['provider', 'reason']
+)
+const stageDuration = metricsRegistry.histogram(
+    'stage_duration_seconds',
+    'Latency of each pipeline stage',
+    ['stage']
+)
+const whiteRejections = metricsRegistry.counter(
+    'white_rejections_total',
+    'Processed images rejected as mostly white'
+)
+const qualityFailures = metricsRegistry.counter(
+    'quality_failures_total',
+    'Processed images that failed the quality checks, by QUALITY_ACTION',
+    ['action']
+)
+const transparencyReapplications = metricsRegistry.counter(
+    'transparency_reapplications_total',
+    'Processed images with the original transparency reapplied'
+)
+const formatConversions = metricsRegistry.counter(
+    'format_conversions_total',
+    'Images converted before being sent to the provider, by source extension',
+    ['extension']
+)
+
 // Create required directories
 const uploadDir = path.join(process.cwd(), 'uploads')
 const processedDir = path.join(process.cwd(), 'processed')
+const jobsDir = path.join(process.cwd(), 'jobs')
+const dataDir = path.join(process.cwd(), 'data')
+const cacheDir = path.join(process.cwd(), 'cache')
 
-;[uploadDir, processedDir].forEach((dir) => {
+;[uploadDir, processedDir, jobsDir, dataDir].forEach((dir) => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true })
         log(`Created directory: ${dir}`)
@@ -52,772 +156,1805 @@ const processedDir = path.join(process.cwd(), 'processed')
 
 const app = new Hono()
 
+// Give every request an id, echoed as X-Request-Id and attached to all log
+// entries made while handling it, and log its outcome and duration.
+// Clients may send their own X-Request-Id to correlate logs.
+app.use('/*', async (c, next) => {
+    const incoming = c.req.header('X-Request-Id')
+    const requestId =
+        incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID()
+    c.set('requestId', requestId)
+    c.header('X-Request-Id', requestId)
+
+    const startedAt = Date.now()
+    await logger.runWithContext(
+        { requestId, route: `${c.req.method} ${c.req.path}` },
+        async () => {
+            await next()
+            const durationMs = Date.now() - startedAt
+            const outcome = getResponseOutcome(c)
+
+            // Label metrics with the route pattern, e.g. /api/jobs/:id
+            const route = routePath(c)
+            httpRequests.inc({
+                method: c.req.method,
+                route,
+                status: c.res.status,
+                outcome,
+            })
+            httpDuration.observe(
+                { method: c.req.method, route },
+                durationMs / 1000
+            )
+
+            // Static files and pages are only worth logging when debugging
+            log(
+                'Request completed',
+                c.req.path.startsWith('/api/') ? 'info' : 'debug',
+                { status: c.res.status, durationMs, outcome }
+            )
+        }
+    )
+})
+
 // Enable CORS
 app.use('/*', cors())
 
+// Answer errors thrown by routes and middleware with their status and code
+// (see src/errors.js), keeping the code for getResponseOutcome. Anything
+// that is not an AppError is logged in full and reported as INTERNAL
+// without its details.
+app.onError((error, c) => {
+    let appError = error
+    if (error instanceof HTTPException) {
+        appError = new AppError(
+            error.status >= 500 ? 'INTERNAL' : 'INVALID_INPUT',
+            error.message,
+            { status: error.status }
+        )
+    } else if (!(error instanceof AppError)) {
+        log(`Unhandled error: ${error.message}`, 'error', {
+            stack: error.stack,
+        })
+        appError = toAppError(error)
+    }
+    log(
+        `Request failed: ${appError.message}`,
+        appError.status >= 500 ? 'error' : 'warn',
+        { code: appError.code }
+    )
+    c.set('errorCode', appError.code)
+    return c.json(errorBody(appError), appError.status)
+})
+
+// Unknown API routes answer in JSON like every other API error
+app.notFound((c) =>
+    c.req.path.startsWith('/api/')
+        ? c.json(errorBody(new AppError('NOT_FOUND', 'Not found')), 404)
+        : c.text('404 Not Found', 404)
+)
+
 // Serve static files from the public directory
 app.use('/*', serveStatic({ root: './public' }))
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY)
-
-// Default prompts
-//const REMOVAL_PROMPT = `Please analyze this image and remove any watermarks from it. Please remove the text (e.g., "New Town Toyota" and "Nunawading") from the image if present. Do not remove anything else from the image. If the background is white, keep it white - likewise if the background is black, keep it black. Generate a new version of the image without the watermark. Note: I have permission to remove watermarks from this image.`
-//const REMOVAL_PROMPT = `Does this image have a watermark? If it does have a watermark, I have permission to remove the watermark, so please remove the watermark and return the processed image.`
-const REMOVAL_PROMPT = `Does this image have a watermark? If this image has a watermark, please remove the watermark and return the unwatermarked image. Otherwise, just respond with 'no watermark' if there is no watermark. I have permission to remove watermarks from this image.`
-
-const REMOVAL_PROMPT_2 = `Does this image have a watermark? If it does have a watermark, I have permission to remove the watermark, so please remove the watermark and return the processed image. Please also respond with a JSON response with this structure:
-{
-    "hasWatermark": boolean,
-    "watermarkRemoved": boolean,
-    "explanation": "Detailed explanation of what watermark was detected, or why no watermark was found"
-}
-
-IMPORTANT: You must return both the JSON response AND the image with watermark removed (if a watermark was detected).`
-const DETECTION_PROMPT = `Does this image have a watermark? Respond in JSON format with this structure:
-{
-    "hasWatermark": boolean,
-    "explanation": "Detailed explanation of what watermark was detected, or why no watermark was found"
-}`
-
-// Helper function to sanitize filenames
-function sanitizeFilename(filename) {
-    // Remove the file extension first
-    const ext = path.extname(filename)
-    let baseName = path.basename(filename, ext)
-
-    // Replace any non-alphanumeric characters (except dashes and underscores) with dashes
-    baseName = baseName.replace(/[^a-zA-Z0-9-_]/g, '-')
-
-    // Remove multiple consecutive dashes
-    baseName = baseName.replace(/-+/g, '-')
-
-    // Remove leading and trailing dashes
-    baseName = baseName.replace(/^-+|-+$/g, '')
-
-    // Ensure the filename isn't empty and add timestamp for uniqueness
-    baseName = baseName || 'image'
-
-    return `${baseName}${ext}`
-}
-
-// Helper function to get MIME type from file extension
-function getMimeType(filename) {
-    const ext = path.extname(filename).toLowerCase()
-    switch (ext) {
-        case '.png':
-            return 'image/png'
-        case '.jpg':
-        case '.jpeg':
-            return 'image/jpeg'
-        default:
-            return 'image/jpeg' // default fallback
-    }
-}
-
-// Helper function to validate file type
-function isValidImageType(filename) {
-    const validTypes = [
-        '.png',
-        '.jpg',
-        '.jpeg',
-        '.webp',
-        '.svg',
-        '.gif',
-        '.bmp',
-        '.tiff',
-        '.tif',
-        '.avif',
-    ]
-    return validTypes.includes(path.extname(filename).toLowerCase())
+// Initialize the watermark provider (gemini by default, see WATERMARK_PROVIDER)
+const provider = createProvider()
+log(`Using watermark provider: ${provider.name}`)
+
+// Prompt presets from prompts/ (or PROMPTS_DIR), selected per request with
+// the preset field. PROMPT_PRESET sets the default.
+const promptPresets = createPromptPresets({
+    dir: process.env.PROMPTS_DIR || path.join(process.cwd(), 'prompts'),
+    defaultPreset: process.env.PROMPT_PRESET || 'generic',
+    log,
+})
+
+let DEFAULT_REMOVAL_MODE = process.env.REMOVAL_MODE || 'standard'
+if (!REMOVAL_MODES[DEFAULT_REMOVAL_MODE]) {
+    log(
+        `Unknown REMOVAL_MODE "${DEFAULT_REMOVAL_MODE}", using standard`,
+        'warn'
+    )
+    DEFAULT_REMOVAL_MODE = 'standard'
+}
+
+// Helper function to resolve the removal mode requested by a client
+function parseRemovalMode(value) {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_REMOVAL_MODE
+    }
+    if (!REMOVAL_MODES[value]) {
+        throw new Error(
+            `Invalid mode. Supported modes: ${Object.keys(REMOVAL_MODES).join(
+                ', '
+            )}`
+        )
+    }
+    return value
 }
 
-// Helper function to convert image to JPEG/PNG while preserving transparency info
-async function convertToSupportedFormat(imageBuffer, filename) {
-    const ext = path.extname(filename).toLowerCase()
+// Helper function to build the removal prompt from a preset, an optional
+// hint such as the watermark's wording, and the mode's response format
+function buildRemovalPrompt({
+    mode = DEFAULT_REMOVAL_MODE,
+    preset = promptPresets.defaultPreset,
+    hint = null,
+} = {}) {
+    return composeRemovalPrompt(promptPresets.resolve(preset).prompt, {
+        mode,
+        hint,
+    })
+}
 
-    try {
-        // Check if conversion is needed based on file extension
-        if (['.jpg', '.jpeg'].includes(ext)) {
+// Thresholds for the post-removal quality checks (see src/quality.js)
+const qualityConfig = getQualityConfig()
+
+// Tile settings for high-resolution images (see src/tiles.js)
+const tilingConfig = getTilingConfig()
+
+// Processed images are stored in processed/ as processed_<fileId>_<name>
+const processedStorage = createFileStorage(processedDir)
+
+// Detection and removal, shared with the CLI and library users (see
+// src/index.js). Routes add uploads, jobs and caching around it.
+const remover = createWatermarkRemover({
+    provider,
+    logger: log,
+    storage: processedStorage,
+    promptPresets,
+    qualityConfig,
+    tilingConfig,
+    metrics: {
+        providerAttempts,
+        providerRetries,
+        providerErrors,
+        providerFinishReasons,
+        stageDuration,
+        whiteRejections,
+        qualityFailures,
+        transparencyReapplications,
+        formatConversions,
+    },
+})
+
+// Helper function to resolve the tiling option requested by a client
+function parseTilingMode(value) {
+    if (value === undefined || value === null || value === '') {
+        return tilingConfig.mode
+    }
+    if (!['auto', 'on', 'off'].includes(value)) {
+        throw new Error(
+            'Invalid tiling option. Supported values: auto, on, off'
+        )
+    }
+    return value
+}
+
+// Cache of detection and removal results keyed by image content and settings.
+// CACHE_TTL_SECONDS=0 disables it.
+const resultCache = createResultCache({
+    dir: cacheDir,
+    ttlMs:
+        (process.env.CACHE_TTL_SECONDS !== undefined
+            ? Number(process.env.CACHE_TTL_SECONDS)
+            : 24 * 60 * 60) * 1000,
+    maxBytes: (Number(process.env.CACHE_MAX_MB) || 500) * 1024 * 1024,
+    log,
+})
+
+// Helper function to read a boolean request option such as noCache
+function isTruthyOption(value) {
+    return value === true || value === 'true' || value === '1'
+}
+
+// Helper function to build the removal cache key for an image and the
+// options that shape its result
+async function removalCacheKey(
+    imageData,
+    { region, mode, prompt, tiling, output }
+) {
+    const content = await hashImageContent(imageData)
+    return buildCacheKey({
+        kind: 'remove',
+        image: content.pixels,
+        // Output keeps the source's format and, unless stripped, its metadata
+        source:
+            output && output.metadata === 'none' && output.format
+                ? null
+                : content.metadata,
+        provider: provider.name,
+        models: provider.models,
+        mode,
+        prompt,
+        detectionPrompt: DETECTION_PROMPT,
+        tiling,
+        tilingConfig,
+        output,
+        quality: qualityConfig,
+        region: region && {
+            boxes: region.boxes,
+            feather: region.feather,
+            mask: region.mask
+                ? createHash('sha256').update(region.mask).digest('hex')
+                : null,
+        },
+    })
+}
+
+// Size, pixel and frame limits for uploaded and downloaded images
+const uploadLimits = getUploadLimits()
+
+// Maximum number of URLs accepted in a single JSON request
+const MAX_URLS_PER_REQUEST = Number(process.env.URL_MAX_PER_REQUEST) || 20
+
+const retentionConfig = getRetentionConfig()
+
+// Helper function to run a removal job. Every result gets an opaque id for
+// /api/results/:id. Unless uploads are persisted, the stored upload and mask
+// are deleted as soon as the job finishes. Log entries carry the id of the
+// request that queued the job.
+function runRemovalJob(payload, progress, jobId) {
+    const context = {
+        requestId: payload.requestId,
+        jobId,
+        filename: payload.originalFilename,
+    }
+    return logger.runWithContext(context, async () => {
+        const stopTimer = stageDuration.startTimer({ stage: 'total' })
+        try {
+            const result = await processRemovalJob(payload, progress)
             return {
-                buffer: imageBuffer,
-                filename: filename,
-                converted: false,
-                hasTransparency: false,
-                originalFormat: ext,
+                ...result,
+                resultId: randomBytes(16).toString('base64url'),
+            }
+        } catch (error) {
+            // Only AppErrors reach clients as they are
+            if (!(error instanceof AppError)) {
+                log(`Removal failed: ${error.message}`, 'error', {
+                    stack: error.stack,
+                })
+            }
+            throw toAppError(error, 'REMOVAL_FAILED')
+        } finally {
+            stopTimer()
+            if (!retentionConfig.persistUploads) {
+                fs.rmSync(payload.inputPath, { force: true })
+                if (payload.region?.maskPath) {
+                    fs.rmSync(payload.region.maskPath, { force: true })
+                }
             }
         }
+    })
+}
 
-        // For PNG, check if it has transparency
-        if (ext === '.png') {
-            const metadata = await sharp(imageBuffer).metadata()
-            const hasTransparency = metadata.hasAlpha || false
+// Job queue for watermark removal, persisted alongside uploads/ and processed/
+const jobQueue = createJobQueue({
+    dir: jobsDir,
+    handler: runRemovalJob,
+    concurrency: Number(process.env.JOB_CONCURRENCY) || 1,
+    log,
+})
 
-            if (hasTransparency) {
-                log(
-                    `PNG with transparency detected, preserving alpha information`,
-                    'info'
-                )
-                // For sending to Gemini, we need white background
-                const processedBuffer = await sharp(imageBuffer)
-                    .flatten({ background: { r: 255, g: 255, b: 255 } })
-                    .png()
-                    .toBuffer()
-
-                return {
-                    buffer: processedBuffer,
-                    filename: filename,
-                    converted: true,
-                    hasTransparency: true,
-                    originalBuffer: imageBuffer,
-                    originalFormat: ext,
-                }
-            }
+// Write the usage ledger entry handed to queued jobs (see deferUsage) once
+// the last job sharing it finishes. It lives in the job records, so it is
+// still written when the jobs finish after a restart.
+jobQueue.events.on('update', (job) => {
+    const { usage } = job.payload
+    const sharesUsage = (other) => other.payload.usage?.id === usage.id
+    if (
+        !usage ||
+        !['done', 'failed'].includes(job.state) ||
+        jobQueue.unfinished().some(sharesUsage)
+    ) {
+        return
+    }
+    const { id, startedAt, ...entry } = usage
+    const failed = jobQueue.find(
+        (other) => sharesUsage(other) && other.state === 'failed'
+    )
+    apiKeys.record({
+        ...entry,
+        status: 202,
+        outcome: failed ? 'error' : 'success',
+        durationMs: Date.now() - startedAt,
+    })
+})
 
-            // No transparency, return original PNG
-            return {
-                buffer: imageBuffer,
-                filename: filename,
-                converted: false,
-                hasTransparency: false,
-                originalFormat: ext,
-            }
+// Retention for uploads/, processed/ and logs/, plus finished jobs. Inputs of
+// unfinished jobs and today's log file are never deleted.
+const retention = createRetentionManager({
+    directories: [
+        { name: 'uploads', dir: uploadDir, ...retentionConfig.uploads },
+        { name: 'processed', dir: processedDir, ...retentionConfig.processed },
+        { name: 'logs', dir: logDir, ...retentionConfig.logs },
+    ],
+    pruners: [
+        {
+            name: 'jobs',
+            prune: () => jobQueue.prune(retentionConfig.jobs.maxAgeMs),
+        },
+    ],
+    intervalMs: retentionConfig.intervalMs,
+    isProtected: (name, filePath) => {
+        if (name === 'logs') {
+            const today = `${new Date().toISOString().split('T')[0]}.log`
+            return path.basename(filePath) === today
         }
+        if (name === 'uploads') {
+            return jobQueue
+                .unfinished()
+                .some(
+                    ({ payload }) =>
+                        payload.inputPath === filePath ||
+                        payload.region?.maskPath === filePath
+                )
+        }
+        return false
+    },
+    log,
+})
 
-        // For other formats that might have transparency (WebP, SVG, GIF)
-        // First check if the format has transparency
-        const metadata = await sharp(imageBuffer).metadata()
-        const hasTransparency = metadata.hasAlpha || false
-        const originalBuffer = hasTransparency ? imageBuffer : null
+// API keys, per-key quotas and the usage ledger, stored in data/
+const apiKeys = createApiKeyStore({ dir: dataDir, log })
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true'
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null
+
+// Routes whose calls are metered against quotas and written to the ledger
+const METERED_ROUTES = [
+    '/api/detect-watermark',
+    '/api/remove-watermark',
+    '/api/remove-watermark/batch',
+]
+
+// Helper function to read the bearer token from a request
+function getBearerToken(c) {
+    const header = c.req.header('authorization') || ''
+    const match = header.match(/^Bearer\s+(.+)$/i)
+    return match ? match[1].trim() : null
+}
 
-        // For all other formats, convert to PNG with white background for Gemini
-        log(
-            `Converting ${ext} image to png format with white background`,
-            'info'
-        )
-        const convertedBuffer = await sharp(imageBuffer)
-            .flatten({ background: { r: 255, g: 255, b: 255 } })
-            .png()
-            .toBuffer()
-
-        // Change the extension to .png
-        const baseFilename = path.basename(filename, ext)
-        const newFilename = `${baseFilename}.png`
-
-        return {
-            buffer: convertedBuffer,
-            filename: newFilename,
-            converted: true,
-            hasTransparency,
-            originalBuffer: hasTransparency ? imageBuffer : null,
-            originalFormat: ext,
+// Helper function to compare secrets without leaking timing information
+function secretsMatch(a, b) {
+    const digest = (value) => createHash('sha256').update(value).digest()
+    return timingSafeEqual(digest(a), digest(b))
+}
+
+// Helper function to build the error for an exceeded quota, setting the
+// Retry-After header it is answered with
+function quotaExceededError(c, { error, retryAfter }) {
+    c.header('Retry-After', String(retryAfter))
+    return new AppError('QUOTA_EXCEEDED', error)
+}
+
+// Helper function to charge images against the caller's API key quota.
+// Throws QUOTA_EXCEEDED when the quota would be exceeded.
+function chargeImages(c, count) {
+    const apiKey = c.get('apiKey')
+    if (apiKey) {
+        const exceeded = apiKeys.checkQuota(apiKey, { images: count })
+        if (exceeded) {
+            throw quotaExceededError(c, exceeded)
         }
-    } catch (error) {
-        log(`Error converting image: ${error.message}`, 'error')
-        throw new Error(`Failed to convert image: ${error.message}`)
+        apiKeys.consume(apiKey, { images: count })
     }
+    c.set('imageCount', count)
 }
 
-// Helper function to reapply transparency to a processed image
-async function reapplyTransparency(
-    processedImageBuffer,
-    originalImageBuffer,
-    originalFormat
-) {
-    try {
-        log('Reapplying transparency to processed image', 'info')
-
-        // Get dimensions of the processed image
-        const processedMetadata = await sharp(processedImageBuffer).metadata()
-        const processedWidth = processedMetadata.width
-        const processedHeight = processedMetadata.height
-
-        // Get dimensions of the original image
-        const originalMetadata = await sharp(originalImageBuffer).metadata()
-        log(
-            `Original dimensions: ${originalMetadata.width}x${originalMetadata.height}, Processed dimensions: ${processedWidth}x${processedHeight}`,
-            'debug'
-        )
+// Helper function to classify a finished request for the ledger and metrics
+// as success, error, or by its error code (set by app.onError) as
+// quota_exceeded or rate_limited. The outcome is worked out once per request.
+function getResponseOutcome(c) {
+    if (!c.get('outcome')) {
+        const code = c.get('errorCode')
+        let outcome = 'success'
+        if (code === 'QUOTA_EXCEEDED') {
+            outcome = 'quota_exceeded'
+        } else if (code === 'RATE_LIMITED') {
+            outcome = 'rate_limited'
+        } else if (code || c.res.status >= 400) {
+            outcome = 'error'
+        }
+        c.set('outcome', outcome)
+    }
+    return c.get('outcome')
+}
 
-        // Make sure the original image has an alpha channel
-        if (!originalMetadata.hasAlpha) {
-            log(
-                'Original image does not have an alpha channel despite being marked as transparent',
-                'warn'
-            )
-            return processedImageBuffer
+// Authenticate API requests and record usage of metered routes.
+// Without REQUIRE_API_KEY=true, requests without a key are allowed and
+// recorded as anonymous; a key that is sent must always be valid.
+app.use('/api/*', async (c, next) => {
+    if (c.req.path.startsWith('/api/admin/')) {
+        return next()
+    }
+
+    const token = getBearerToken(c)
+    let apiKey = null
+
+    if (token) {
+        apiKey = apiKeys.authenticate(token)
+        if (!apiKey) {
+            log('Rejected request with invalid or revoked API key', 'warn')
+            throw new AppError('UNAUTHORIZED', 'Invalid or revoked API key')
         }
+    } else if (REQUIRE_API_KEY) {
+        throw new AppError(
+            'UNAUTHORIZED',
+            'API key required. Send it as "Authorization: Bearer <key>".'
+        )
+    }
+    c.set('apiKey', apiKey)
 
-        // Check for significant dimension differences
-        const widthRatio = processedWidth / originalMetadata.width
-        const heightRatio = processedHeight / originalMetadata.height
-        const ratioDifference = Math.abs(widthRatio - heightRatio)
+    if (c.req.method !== 'POST' || !METERED_ROUTES.includes(c.req.path)) {
+        return next()
+    }
 
-        let alphaData
+    c.set('usageStartedAt', Date.now())
+    c.set('imageCount', 0)
+
+    await next()
+    // Requests answered before their jobs finish are recorded by the jobs
+    if (!c.get('usageDeferred')) {
+        apiKeys.record({
+            ...usageEntry(c),
+            status: c.res.status,
+            outcome: getResponseOutcome(c),
+            durationMs: Date.now() - c.get('usageStartedAt'),
+        })
+    }
+})
 
-        // Handle different cases based on dimension discrepancies
-        if (ratioDifference > 0.5) {
-            // Extreme aspect ratio difference
-            log(
-                'Extreme aspect ratio difference detected, using composite approach',
-                'warn'
-            )
+// Helper function to build the usage ledger entry of a metered request from
+// what it has been charged so far
+function usageEntry(c) {
+    const apiKey = c.get('apiKey')
+    return {
+        keyId: apiKey ? apiKey.id : null,
+        keyName: apiKey ? apiKey.name : null,
+        route: c.req.path,
+        requests: c.get('requestCharged') ? 1 : 0,
+        images: c.get('imageCount'),
+    }
+}
 
-            // First resize the whole original image with transparency intact
-            const resizedOriginal = await sharp(originalImageBuffer)
-                .resize(processedWidth, processedHeight, {
-                    fit: 'contain',
-                    background: { r: 0, g: 0, b: 0, alpha: 0 },
-                })
-                .toBuffer()
-
-            // Extract the alpha channel from this properly sized image
-            alphaData = await sharp(resizedOriginal)
-                .extractChannel(3)
-                .toBuffer()
-        } else if (ratioDifference > 0.2) {
-            // Significant but not extreme difference
-            log(
-                'Significant aspect ratio difference detected, using "contain" fit strategy',
-                'warn'
-            )
+// Helper function to hand a request's usage ledger entry over to the jobs it
+// queues. Returned to be stored with each job; the entry is written once the
+// last of them finishes, with their outcome.
+function deferUsage(c) {
+    c.set('usageDeferred', true)
+    return {
+        id: randomUUID(),
+        startedAt: c.get('usageStartedAt'),
+        ...usageEntry(c),
+    }
+}
 
-            // Use contain strategy for better proportional fitting
-            alphaData = await sharp(originalImageBuffer)
-                .extractChannel(3)
-                .resize(processedWidth, processedHeight, {
-                    fit: 'contain',
-                    background: { r: 0, g: 0, b: 0, alpha: 0 },
-                })
-                .toBuffer()
-        } else {
-            // Similar enough aspect ratios
-            // Standard approach - just resize with fill
-            alphaData = await sharp(originalImageBuffer)
-                .extractChannel(3)
-                .resize(processedWidth, processedHeight, { fit: 'fill' })
-                .toBuffer()
-        }
+// Helper function to read a rate limit setting, where 0 disables the limit
+function rateLimitSetting(name, fallback) {
+    const value = process.env[name]
+    return value === undefined || value === '' ? fallback : Number(value)
+}
 
-        // Apply the resized alpha channel to the processed image
-        return await sharp(processedImageBuffer)
-            .ensureAlpha()
-            .joinChannel(alphaData)
-            .png() // Always output as PNG when preserving transparency
-            .toBuffer()
-    } catch (error) {
-        log(`Error reapplying transparency: ${error.message}`, 'error')
-        // If reapplying transparency fails, return the processed image without transparency
-        return processedImageBuffer
+// Token bucket rate limits, separate for detection and removal. perMinute is
+// the sustained rate and burst the bucket size; key holders are limited both
+// per IP and per key.
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true'
+
+const detectRateLimit = rateLimit({
+    name: 'detect-watermark',
+    perIp: {
+        perMinute: rateLimitSetting('RATE_LIMIT_DETECT_IP_PER_MINUTE', 30),
+        burst: rateLimitSetting('RATE_LIMIT_DETECT_IP_BURST', 10),
+    },
+    perKey: {
+        perMinute: rateLimitSetting('RATE_LIMIT_DETECT_KEY_PER_MINUTE', 60),
+        burst: rateLimitSetting('RATE_LIMIT_DETECT_KEY_BURST', 20),
+    },
+    trustProxy: TRUST_PROXY,
+    log,
+})
+
+const removeRateLimit = rateLimit({
+    name: 'remove-watermark',
+    perIp: {
+        perMinute: rateLimitSetting('RATE_LIMIT_REMOVE_IP_PER_MINUTE', 6),
+        burst: rateLimitSetting('RATE_LIMIT_REMOVE_IP_BURST', 3),
+    },
+    perKey: {
+        perMinute: rateLimitSetting('RATE_LIMIT_REMOVE_KEY_PER_MINUTE', 12),
+        burst: rateLimitSetting('RATE_LIMIT_REMOVE_KEY_BURST', 5),
+    },
+    trustProxy: TRUST_PROXY,
+    log,
+})
+
+app.use('/api/detect-watermark', detectRateLimit)
+app.use('/api/remove-watermark', removeRateLimit)
+app.use('/api/remove-watermark/batch', removeRateLimit)
+
+// Request bodies over UPLOAD_MAX_REQUEST_MB are refused before they are read;
+// each image is then checked against UPLOAD_MAX_MB
+if (uploadLimits.maxRequestBytes > 0) {
+    const uploadBodyLimit = bodyLimit({
+        maxSize: uploadLimits.maxRequestBytes,
+        onError: (c) => {
+            log('Rejected request body over the upload limit', 'warn')
+            throw new AppError(
+                'REQUEST_TOO_LARGE',
+                `Request body exceeds the maximum of ${uploadLimits.maxRequestBytes} bytes`
+            )
+        },
+    })
+    for (const route of [
+        '/api/detect-watermark',
+        '/api/remove-watermark',
+        '/api/remove-watermark/batch',
+        '/api/add-watermark',
+    ]) {
+        app.use(route, uploadBodyLimit)
     }
 }
 
-// Helper function to process image with Gemini for watermark detection
-async function detectWatermarkWithGemini(imageBuffer, filename) {
-    const base64Image = Buffer.from(imageBuffer).toString('base64')
-    const model = genAI.getGenerativeModel({
-        model: 'gemini-1.5-flash-8b',
+// Charge metered requests against the caller's API key quota. This runs
+// after the rate limiters, so rate-limited requests are never charged (or
+// counted as requests in the ledger, keyless ones included).
+for (const route of METERED_ROUTES) {
+    app.use(route, async (c, next) => {
+        if (c.req.method !== 'POST') {
+            return next()
+        }
+        const apiKey = c.get('apiKey')
+        if (apiKey) {
+            const exceeded = apiKeys.checkQuota(apiKey, { requests: 1 })
+            if (exceeded) {
+                log(
+                    `API key ${apiKey.id} over quota: ${exceeded.error}`,
+                    'warn'
+                )
+                throw quotaExceededError(c, exceeded)
+            }
+            apiKeys.consume(apiKey, { requests: 1 })
+        }
+        c.set('requestCharged', true)
+        return next()
     })
+}
 
-    const result = await model.generateContent([
-        { text: DETECTION_PROMPT },
-        {
-            inlineData: {
-                data: base64Image,
-                mimeType: getMimeType(filename),
-            },
-        },
-    ])
+// Admin routes require the ADMIN_API_KEY as a bearer token
+app.use('/api/admin/*', async (c, next) => {
+    if (!ADMIN_API_KEY) {
+        throw new AppError(
+            'FORBIDDEN',
+            'Admin API is disabled. Set ADMIN_API_KEY to enable it.'
+        )
+    }
 
-    const response = await result.response
-    const text = response.text()
+    const token = getBearerToken(c)
+    if (!token || !secretsMatch(token, ADMIN_API_KEY)) {
+        log('Rejected admin request with invalid admin key', 'warn')
+        throw new AppError('UNAUTHORIZED', 'Invalid admin key')
+    }
 
+    return next()
+})
+
+// Root route - serve index.html
+app.get('/', (c) =>
+    c.html(fs.readFileSync(path.join('public', 'index.html'), 'utf-8'))
+)
+
+// API documentation route
+app.get('/api', (c) =>
+    c.html(fs.readFileSync(path.join('public', 'api.html'), 'utf-8'))
+)
+
+// Helper function to turn a validation error into a rejected image entry
+function rejectImage(image, error) {
+    log(`Rejected image ${image.name}: ${error.message}`, 'warn', {
+        code: error.code,
+    })
+    return {
+        source: image.source,
+        error: error.message,
+        code: error.code,
+        status: error.status,
+    }
+}
+
+// Helper function to check an uploaded or downloaded image by its contents
+// (see src/upload.js). Returns the image with its sanitised buffer and a
+// filename matching its real format, or { source, error, code, status } when
+// it is rejected.
+async function checkImage(image) {
+    if (image.error) {
+        return image
+    }
     try {
-        return JSON.parse(text)
+        const { buffer, filename } = await validateImageUpload(
+            image.buffer,
+            image.name,
+            uploadLimits
+        )
+        return { ...image, name: filename, buffer }
     } catch (error) {
-        log(`Failed to parse AI response as JSON: ${text}`, 'error')
-        // Fallback response if AI doesn't return valid JSON
-        return {
-            hasWatermark: text.toLowerCase().includes('yes'),
-            explanation: text,
+        if (!(error instanceof UploadError)) {
+            throw error
         }
+        return rejectImage(image, error)
     }
 }
 
-// Helper function to delay execution for a specified time
-async function delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms))
+// Helper function to read and check an uploaded file. Oversized files are
+// rejected without being copied into a buffer.
+async function readUploadedImage(file) {
+    const image = { source: file.name, name: file.name }
+    if (uploadLimits.maxBytes && file.size > uploadLimits.maxBytes) {
+        return rejectImage(
+            image,
+            fileTooLargeError(file.size, uploadLimits.maxBytes)
+        )
+    }
+    return checkImage({
+        ...image,
+        buffer: Buffer.from(await file.arrayBuffer()),
+    })
 }
 
-// Helper function to process image with Gemini for watermark removal
-async function removeWatermarkWithGemini(
-    imageBuffer,
-    filename,
-    prompt = REMOVAL_PROMPT,
-    maxRetries = 3,
-    initialDelay = 30000
-) {
-    let retries = 0
+// Helper function to turn an image's download or validation error back into
+// an AppError
+function imageError({ error, code, status }) {
+    return new AppError(code, error, { status })
+}
 
-    while (retries <= maxRetries) {
-        try {
-            log(
-                `Attempting watermark removal (Attempt ${retries + 1}/${
-                    maxRetries + 1
-                })`,
-                'info'
-            )
-            const base64Image = Buffer.from(imageBuffer).toString('base64')
-            const model = genAI.getGenerativeModel({
-                model: 'gemini-2.0-flash-exp-image-generation',
-            })
+// Helper function to parse a multipart request body
+async function readFormData(c) {
+    try {
+        return await c.req.formData()
+    } catch (error) {
+        throw new AppError(
+            'INVALID_INPUT',
+            'Request body must be multipart/form-data',
+            { cause: error }
+        )
+    }
+}
 
-            const result = await model.generateContent({
-                contents: {
-                    role: 'user',
-                    parts: [
-                        { text: prompt },
-                        {
-                            inlineData: {
-                                data: base64Image,
-                                mimeType: getMimeType(filename),
-                            },
-                        },
-                    ],
-                },
-                generationConfig: {
-                    responseModalities: ['Text', 'Image'],
-                },
-            })
+// Helper function to report invalid request options as INVALID_INPUT, or with
+// the mask's validation error when the mask was rejected
+function invalidOptionsError(error) {
+    if (error instanceof UploadError) {
+        return new UploadError(
+            error.code,
+            `Invalid mask: ${error.message}`,
+            error.status
+        )
+    }
+    return new AppError('INVALID_INPUT', error.message, { cause: error })
+}
 
-            const response = await result.response
-            return response
-        } catch (error) {
-            log(
-                `Error in watermark removal attempt ${retries + 1}: ${
-                    error.message
-                }`,
-                'error'
+// Helper function to collect the images for a request: either a multipart
+// `image` upload, or a JSON body with `url` or `urls` to download.
+// URL lists resolve per entry so one bad URL does not fail the others.
+// Every image is validated; rejected ones carry an error instead of a buffer.
+// The remaining form fields or JSON properties are returned as `fields`.
+async function readRequestImages(c) {
+    const contentType = c.req.header('content-type') || ''
+
+    if (contentType.includes('application/json')) {
+        const body = await c.req.json().catch((error) => {
+            throw new AppError(
+                'INVALID_INPUT',
+                'Request body is not valid JSON',
+                {
+                    cause: error,
+                }
+            )
+        })
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new AppError(
+                'INVALID_INPUT',
+                'Request body must be a JSON object'
             )
+        }
+        const isList = Array.isArray(body.urls)
+        const urls = isList ? body.urls : body.url ? [body.url] : []
 
-            // Check if it's a rate limit error (429) or service overload error (503)
-            if (
-                error.message.includes('429') ||
-                error.message.includes('Too Many Requests') ||
-                error.message.includes('503') ||
-                error.message.includes('overloaded')
-            ) {
-                const waitTime = initialDelay * Math.pow(2, retries)
-                log(
-                    `Service error (rate limit or overload). Waiting ${
-                        waitTime / 1000
-                    } seconds before retrying...`,
-                    'warn'
-                )
-                await delay(waitTime)
-                retries++
+        if (urls.some((url) => typeof url !== 'string')) {
+            throw new AppError('INVALID_INPUT', 'URLs must be strings')
+        }
+        if (urls.length > MAX_URLS_PER_REQUEST) {
+            throw new AppError(
+                'INVALID_INPUT',
+                `Too many URLs (${urls.length}). Maximum is ${MAX_URLS_PER_REQUEST}.`
+            )
+        }
 
-                if (retries > maxRetries) {
+        const images = await Promise.all(
+            urls.map(async (url) => {
+                try {
+                    log(`Downloading image from ${url}`)
+                    const { buffer, filename } = await downloadImage(url)
+                    return await checkImage({
+                        source: url,
+                        name: filename,
+                        buffer,
+                    })
+                } catch (error) {
                     log(
-                        `Max retries (${maxRetries}) reached for watermark removal. Giving up.`,
+                        `Error downloading image from ${url}: ${error.message}`,
                         'error'
                     )
-                    throw new Error(
-                        `Service error after ${maxRetries} retries. Please try again later.`
-                    )
+                    const failure = toAppError(error, 'DOWNLOAD_FAILED')
+                    return {
+                        source: url,
+                        error: failure.message,
+                        code: failure.code,
+                        status: failure.status,
+                    }
                 }
-            } else {
-                // For other errors, don't retry
-                log(
-                    `Non-retryable error for watermark removal: ${error.message}`,
-                    'error'
-                )
-                throw error
-            }
+            })
+        )
+        return { images, isList, fields: body }
+    }
+
+    const data = await readFormData(c)
+    const fields = Object.fromEntries(data.entries())
+    const image = data.get('image')
+    if (!image || typeof image === 'string') {
+        return { images: [], isList: false, fields }
+    }
+    return {
+        images: [await readUploadedImage(image)],
+        isList: false,
+        fields,
+    }
+}
+
+// Helper function to convert and run watermark detection on one image,
+// answering from the result cache when possible.
+// Returns { result, cacheHit }.
+async function detectImage(name, originalImageData, { noCache = false } = {}) {
+    let cacheKey = null
+    if (resultCache.enabled) {
+        const content = await hashImageContent(originalImageData)
+        cacheKey = buildCacheKey({
+            kind: 'detect',
+            image: content.pixels,
+            provider: provider.name,
+            model: provider.models.detect,
+            prompt: DETECTION_PROMPT,
+        })
+        const cached = noCache ? null : resultCache.get(cacheKey)
+        if (cached) {
+            log(`Using cached detection result for image: ${name}`)
+            return { result: cached.result, cacheHit: true }
         }
     }
 
-    throw new Error('Unexpected error in watermark removal process')
+    const detectionResult = await remover.detectWatermark(originalImageData, {
+        filename: name,
+    })
+
+    // Unparseable answers are not cached so the next request asks again
+    if (cacheKey && !detectionResult.parseError) {
+        resultCache.set(cacheKey, detectionResult)
+    }
+
+    return { result: detectionResult, cacheHit: false }
 }
 
-// Helper function to check if an image is mostly white (indicating a failed removal)
-async function isImageMostlyWhite(
-    imageBuffer,
-    whiteThreshold = 0.99,
-    avgBrightnessThreshold = 0.99
-) {
-    try {
-        // First, get image stats to analyze overall brightness
-        const stats = await sharp(imageBuffer).stats()
+// API endpoint for watermark detection
+app.post('/api/detect-watermark', async (c) => {
+    const { images, isList, fields } = await readRequestImages(c)
 
-        // Calculate average brightness across all channels
-        let totalBrightness = 0
-        stats.channels.forEach((channel) => {
-            totalBrightness += channel.mean / 255 // Normalize to 0-1 range
-        })
-        const avgBrightness = totalBrightness / stats.channels.length
-
-        // Check if standard deviation is very low (indicating uniform color)
-        let lowVariation = true
-        stats.channels.forEach((channel) => {
-            // If std dev is higher than 10% of possible range, it's not uniform
-            if (channel.std > 25) {
-                // 25/255 ≈ 10%
-                lowVariation = false
-            }
-        })
+    if (images.length === 0) {
+        throw new AppError('INVALID_INPUT', 'No image provided')
+    }
+
+    const noCache =
+        isTruthyOption(fields.noCache) || isTruthyOption(c.req.query('noCache'))
 
-        // Get full pixel data for more detailed analysis
-        const { data, info } = await sharp(imageBuffer)
-            .raw()
-            .toBuffer({ resolveWithObject: true })
-
-        const totalPixels = info.width * info.height
-        let whitePixels = 0
-
-        // For RGB(A) images, check for white pixels
-        const channels = info.channels
-        const pixelSize = channels // Number of bytes per pixel
-
-        for (let i = 0; i < data.length; i += pixelSize) {
-            // For RGB, consider white if all values are high (close to 255)
-            const r = data[i]
-            const g = data[i + 1]
-            const b = data[i + 2]
-            // More permissive white detection that also catches off-white colors
-            const isWhitePixel = r > 230 && g > 230 && b > 230
-            if (isWhitePixel) {
-                whitePixels++
+    chargeImages(c, images.filter((image) => !image.error).length)
+
+    // Failed entries keep their status for a single-image response
+    const results = []
+    for (const image of images) {
+        if (image.error) {
+            const { source, ...failure } = image
+            results.push({ success: false, ...failure })
+        } else {
+            try {
+                const { result, cacheHit } = await logger.runWithContext(
+                    { filename: image.name },
+                    () => detectImage(image.name, image.buffer, { noCache })
+                )
+                results.push({
+                    success: true,
+                    ...result,
+                    cache: cacheHit ? 'HIT' : 'MISS',
+                })
+            } catch (error) {
+                log(`Error detecting watermark: ${error.message}`, 'error')
+                const failure = toAppError(error)
+                results.push({ ...errorBody(failure), status: failure.status })
             }
         }
+    }
+
+    const answered = results.filter((result) => result.success)
+    c.header(
+        'X-Cache',
+        answered.length > 0 &&
+            answered.every((result) => result.cache === 'HIT')
+            ? 'HIT'
+            : 'MISS'
+    )
 
-        const whiteRatio = whitePixels / totalPixels
-        log(
-            `White pixel ratio: ${whiteRatio.toFixed(
-                4
-            )} (${whitePixels} of ${totalPixels} pixels)`,
-            'debug'
+    if (!isList) {
+        const { cache, status, ...result } = results[0]
+        return c.json(result, status)
+    }
+
+    return c.json({
+        success: true,
+        results: results.map(({ status, ...result }, index) => ({
+            url: images[index].source,
+            ...result,
+        })),
+    })
+})
+
+// Helper function to run the removal pipeline for a queued job.
+// Returns the response the removal route builds, with the processed image
+// referenced by processedPath instead of being inlined as base64.
+async function processRemovalJob(payload, progress) {
+    const {
+        inputPath,
+        originalFilename,
+        fileId,
+        region,
+        mode = 'standard',
+        tiling = 'off',
+        output = {},
+        cacheKey = null,
+        noCache = false,
+    } = payload
+    // Jobs queued before presets existed carry no prompt
+    const prompt = payload.prompt || buildRemovalPrompt({ mode })
+
+    const cached = cacheKey && !noCache ? resultCache.get(cacheKey) : null
+    if (cached) {
+        log(`Using cached removal result for image: ${originalFilename}`)
+        progress({ stage: 'cached', stageDetails: {} })
+        const processedPath = await processedStorage.put(
+            `processed_${fileId}_${cached.result.processedFilename}`,
+            cached.data
         )
-        log(
-            `Average brightness: ${avgBrightness.toFixed(
-                4
-            )}, Low variation: ${lowVariation}`,
-            'debug'
+        const { processedFilename, ...result } = cached.result
+        return { ...result, processedPath, cached: true }
+    }
+
+    const { image, filename, storageLocation, ...result } =
+        await remover.removeWatermark(fs.readFileSync(inputPath), {
+            filename: originalFilename,
+            prompt,
+            mode,
+            tiling,
+            region: region && {
+                mask: region.maskPath ? fs.readFileSync(region.maskPath) : null,
+                boxes: region.boxes,
+                feather: region.feather,
+            },
+            output,
+            progress,
+            storagePrefix: `processed_${fileId}_`,
+        })
+
+    // Cache completed answers only; failures should be retried next time
+    if (
+        cacheKey &&
+        (result.watermarkRemoved || result.hasWatermark === false)
+    ) {
+        resultCache.set(
+            cacheKey,
+            { ...result, processedFilename: filename },
+            image
         )
+    }
+
+    return { ...result, processedPath: storageLocation }
+}
+
+const RESPONSE_TYPES = ['json', 'url', 'binary']
 
-        // Consider an image "failed" if:
-        // 1. It has a very high percentage of white pixels (exceeding threshold)
-        // 2. OR it's very bright overall AND has low variation (meaning it's a nearly uniform light color)
-        return (
-            whiteRatio > whiteThreshold ||
-            (avgBrightness > avgBrightnessThreshold && lowVariation)
+// Helper function to validate the `response` option of the removal route
+function parseResponseType(value) {
+    if (!value) {
+        return 'json'
+    }
+    if (!RESPONSE_TYPES.includes(value)) {
+        throw new AppError(
+            'INVALID_INPUT',
+            `Invalid response type. Supported types: ${RESPONSE_TYPES.join(
+                ', '
+            )}`
         )
-    } catch (error) {
-        log(`Error checking if image is white: ${error.message}`, 'error')
-        return false // Assume not white on error
     }
+    return value
 }
 
-// Root route - serve index.html
-app.get('/', (c) =>
-    c.html(fs.readFileSync(path.join('public', 'index.html'), 'utf-8'))
-)
+// Helper function to get the error a failed job ended with. Jobs stored
+// before errors had codes count as REMOVAL_FAILED.
+function jobError(job) {
+    return new AppError(job.errorCode || 'REMOVAL_FAILED', job.error)
+}
 
-// API documentation route
-app.get('/api', (c) =>
-    c.html(fs.readFileSync(path.join('public', 'api.html'), 'utf-8'))
-)
+// Helper function to build the removal response for a finished job.
+// The json response inlines the image as base64; url only links to it.
+function buildJobResponse(job, responseType = 'json') {
+    if (job.state === 'failed') {
+        return errorBody(jobError(job))
+    }
+    const { processedPath, ...result } = job.result
+    const response = { ...result }
+    if (result.resultId) {
+        response.resultUrl = `/api/results/${result.resultId}`
+        response.originalUrl = `/api/results/${result.resultId}/original`
+    }
+    if (responseType === 'url') {
+        if (!fs.existsSync(processedPath)) {
+            throw new Error(`Processed image ${processedPath} not found`)
+        }
+        return response
+    }
+    return {
+        ...response,
+        image: fs.readFileSync(processedPath).toString('base64'),
+    }
+}
 
-// API endpoint for watermark detection
-app.post('/api/detect-watermark', async (c) => {
+// Helper function to send a stored image with caching headers. Results never
+// change under their id, so clients may cache them until they expire here.
+function sendStoredImage(c, filePath, { mimeType, etag, filename }) {
+    let stat
     try {
-        const data = await c.req.formData()
-        const image = data.get('image')
+        stat = fs.statSync(filePath)
+    } catch (error) {
+        return null
+    }
 
-        if (!image) {
-            log('No image provided for watermark detection', 'error')
-            return c.json({ success: false, error: 'No image provided' })
-        }
+    const headers = {
+        'Content-Type': mimeType,
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        ETag: `"${etag}"`,
+        'Last-Modified': stat.mtime.toUTCString(),
+    }
+    if (c.req.header('If-None-Match') === headers.ETag) {
+        return c.body(null, 304, headers)
+    }
 
-        if (!isValidImageType(image.name)) {
-            log(`Invalid file type: ${image.name}`, 'error')
-            return c.json({
-                success: false,
-                error: 'Invalid file type. Supported formats: PNG, JPG, JPEG, WebP, SVG, GIF, BMP, TIFF, AVIF',
-            })
+    return c.body(Readable.toWeb(fs.createReadStream(filePath)), 200, {
+        ...headers,
+        'Content-Length': String(stat.size),
+        'Content-Disposition': `inline; filename="${filename}"`,
+    })
+}
+
+// Helper function to send a finished job's processed image as the response
+function sendJobResult(c, job) {
+    if (job.state === 'failed') {
+        throw jobError(job)
+    }
+    const { processedPath, resultId, mimeType } = job.result
+    const response = sendStoredImage(c, processedPath, {
+        mimeType,
+        etag: resultId,
+        filename: path.basename(processedPath),
+    })
+    if (!response) {
+        throw new AppError(
+            'NOT_FOUND',
+            'Processed image is no longer available'
+        )
+    }
+    c.header('X-Result-Id', resultId)
+    c.header('X-Watermark-Removed', String(job.result.watermarkRemoved))
+    return response
+}
+
+// Helper function to store an upload and queue it for watermark removal.
+// Returns { job, cacheHit }; cacheHit says whether the result will come
+// from the cache.
+async function queueRemovalJob(
+    originalFilename,
+    originalImageData,
+    {
+        apiKey = null,
+        region = null,
+        mode = DEFAULT_REMOVAL_MODE,
+        preset = promptPresets.defaultPreset,
+        hint = null,
+        tiling = tilingConfig.mode,
+        output = null,
+        noCache = false,
+        usage = null,
+    } = {}
+) {
+    const sanitizedFilename = sanitizeFilename(originalFilename)
+    // Timestamp plus a random suffix keeps files from the same batch apart
+    const fileId = `${Date.now()}_${randomBytes(4).toString('hex')}`
+
+    // Persist the upload so the job survives a restart
+    const tempPath = path.join(uploadDir, `temp_${fileId}_${sanitizedFilename}`)
+    fs.writeFileSync(tempPath, originalImageData)
+
+    // Masks are stored next to the upload; boxes go into the job record
+    let jobRegion = null
+    if (region) {
+        let maskPath = null
+        if (region.mask) {
+            maskPath = path.join(uploadDir, `temp_${fileId}_mask.png`)
+            fs.writeFileSync(maskPath, region.mask)
         }
+        jobRegion = { maskPath, boxes: region.boxes, feather: region.feather }
+    }
+
+    // The prompt is stored with the job so it survives preset changes
+    const prompt = buildRemovalPrompt({ mode, preset, hint })
+
+    // noCache still refreshes the entry with the new result
+    const cacheKey = resultCache.enabled
+        ? await removalCacheKey(originalImageData, {
+              region,
+              mode,
+              prompt,
+              tiling,
+              output,
+          })
+        : null
+    const cacheHit = Boolean(cacheKey && !noCache && resultCache.has(cacheKey))
+
+    // Jobs run outside the request's log context; runRemovalJob sets their own
+    const { requestId } = logger.getContext()
+    const job = logger.detached(() =>
+        jobQueue.enqueue({
+            inputPath: tempPath,
+            originalFilename,
+            fileId,
+            requestId,
+            keyId: apiKey ? apiKey.id : null,
+            region: jobRegion,
+            mode,
+            preset,
+            hint,
+            prompt,
+            tiling,
+            output,
+            cacheKey,
+            noCache,
+            usage,
+        })
+    )
+    log(
+        `Queued watermark removal job ${job.id} for image: ${originalFilename}${
+            cacheHit ? ' (cached)' : ''
+        }`
+    )
+    return { job, cacheHit }
+}
 
-        const buffer = await image.arrayBuffer()
-        const originalImageData = Buffer.from(buffer)
+// API endpoint for watermark removal.
+// Queues a job and returns its id immediately; pass ?wait=true to block until
+// the job finishes and receive the full result instead.
+app.post('/api/remove-watermark', async (c) => {
+    const { images, isList, fields } = await readRequestImages(c)
 
-        // Convert image if needed
-        const {
-            buffer: processableImageData,
-            filename: processableFilename,
-            converted,
-        } = await convertToSupportedFormat(originalImageData, image.name)
+    if (images.length === 0) {
+        throw new AppError('INVALID_INPUT', 'No image provided')
+    }
 
-        if (converted) {
-            log(
-                `Image was converted from ${path.extname(
-                    image.name
-                )} to ${path.extname(processableFilename)}`,
-                'info'
-            )
+    // Optional mask or bounding boxes limiting where changes are kept,
+    // the removal mode (see REMOVAL_MODES), prompt preset and hint,
+    // tiling and output encoding
+    let region
+    let mode
+    let preset
+    let hint
+    let tiling
+    let output
+    let responseType
+    try {
+        region = await parseRegionOptions(fields)
+        if (region && region.mask) {
+            // Masks are images too and get the same checks
+            region.mask = (
+                await validateImageUpload(region.mask, 'mask', uploadLimits)
+            ).buffer
         }
+        mode = parseRemovalMode(fields.mode)
+        preset = promptPresets.resolve(fields.preset).name
+        hint = parsePromptHint(fields.hint)
+        tiling = parseTilingMode(fields.tiling)
+        output = parseOutputOptions(fields)
+        responseType = parseResponseType(
+            fields.response || c.req.query('response')
+        )
+    } catch (error) {
+        throw invalidOptionsError(error)
+    }
 
-        log(`Processing watermark detection for image: ${image.name}`)
-        const detectionResult = await detectWatermarkWithGemini(
-            processableImageData,
-            processableFilename
+    const noCache =
+        isTruthyOption(fields.noCache) || isTruthyOption(c.req.query('noCache'))
+
+    chargeImages(c, images.filter((image) => !image.error).length)
+
+    // A list of URLs queues one job per URL and reports each job id
+    if (isList) {
+        const usage = images.some((image) => !image.error)
+            ? deferUsage(c)
+            : null
+        const jobs = []
+        for (const image of images) {
+            if (image.error) {
+                jobs.push({
+                    url: image.source,
+                    success: false,
+                    error: image.error,
+                    code: image.code,
+                })
+                continue
+            }
+            const { job, cacheHit } = await queueRemovalJob(
+                image.name,
+                image.buffer,
+                {
+                    apiKey: c.get('apiKey'),
+                    region,
+                    mode,
+                    preset,
+                    hint,
+                    tiling,
+                    output,
+                    noCache,
+                    usage,
+                }
+            )
+            jobs.push({
+                url: image.source,
+                success: true,
+                jobId: job.id,
+                state: job.state,
+                statusUrl: `/api/jobs/${job.id}`,
+                cache: cacheHit ? 'HIT' : 'MISS',
+            })
+        }
+        const queued = jobs.filter((job) => job.success)
+        c.header(
+            'X-Cache',
+            queued.length > 0 && queued.every((job) => job.cache === 'HIT')
+                ? 'HIT'
+                : 'MISS'
         )
-        log(`Detection result: ${JSON.stringify(detectionResult)}`)
+        return c.json({ success: true, jobs }, 202)
+    }
 
-        return c.json({
-            success: true,
-            ...detectionResult,
-        })
-    } catch (error) {
-        log(`Error detecting watermark: ${error.message}`, 'error')
-        return c.json({ success: false, error: error.message })
+    const [image] = images
+
+    if (image.error) {
+        throw imageError(image)
+    }
+
+    // A binary response can only be sent once the job is done
+    const wait = c.req.query('wait') === 'true' || responseType === 'binary'
+    const { job, cacheHit } = await queueRemovalJob(image.name, image.buffer, {
+        apiKey: c.get('apiKey'),
+        region,
+        mode,
+        preset,
+        hint,
+        tiling,
+        output,
+        noCache,
+        usage: wait ? null : deferUsage(c),
+    })
+    c.header('X-Cache', cacheHit ? 'HIT' : 'MISS')
+
+    if (wait) {
+        const finishedJob = await jobQueue.waitFor(job.id)
+        if (finishedJob.state === 'failed') {
+            throw jobError(finishedJob)
+        }
+        if (responseType === 'binary') {
+            return sendJobResult(c, finishedJob)
+        }
+        return c.json(buildJobResponse(finishedJob, responseType))
     }
+
+    return c.json(
+        {
+            success: true,
+            jobId: job.id,
+            state: job.state,
+            statusUrl: `/api/jobs/${job.id}`,
+        },
+        202
+    )
 })
 
-// API endpoint for watermark removal
-app.post('/api/remove-watermark', async (c) => {
+// API endpoint for batch watermark removal.
+// Accepts several image fields and/or ZIP archives, runs every file through the
+// job queue and responds with a ZIP of processed images plus manifest.json.
+app.post('/api/remove-watermark/batch', async (c) => {
+    const data = await readFormData(c)
+    const uploads = []
+
+    for (const file of [...data.getAll('image'), ...data.getAll('archive')]) {
+        if (file && typeof file !== 'string') {
+            const buffer = await file.arrayBuffer()
+            uploads.push({ name: file.name, buffer: Buffer.from(buffer) })
+        }
+    }
+
+    let mode
+    let preset
+    let hint
+    let tiling
+    let output
     try {
-        const data = await c.req.formData()
-        const image = data.get('image')
-        const prompt = REMOVAL_PROMPT
+        mode = parseRemovalMode(data.get('mode'))
+        preset = promptPresets.resolve(data.get('preset')).name
+        hint = parsePromptHint(data.get('hint'))
+        tiling = parseTilingMode(data.get('tiling'))
+        output = parseOutputOptions(Object.fromEntries(data.entries()))
+    } catch (error) {
+        throw invalidOptionsError(error)
+    }
+
+    const uploaded = expandBatchUploads(uploads, {
+        maxBytes: uploadLimits.maxBytes,
+    })
+    if (uploaded.length === 0) {
+        throw new AppError('INVALID_INPUT', 'No images provided')
+    }
+
+    // Check every file before any is charged or queued
+    const entries = []
+    for (const { name, buffer, error } of uploaded) {
+        entries.push({
+            name,
+            image: error
+                ? rejectImage({ source: name, name }, error)
+                : await checkImage({ source: name, name, buffer }),
+        })
+    }
+
+    chargeImages(c, entries.filter(({ image }) => !image.error).length)
+
+    log(`Processing batch watermark removal for ${entries.length} file(s)`)
+
+    const noCache =
+        isTruthyOption(data.get('noCache')) ||
+        isTruthyOption(c.req.query('noCache'))
 
-        if (!image) {
-            log('No image provided for watermark removal', 'error')
-            return c.json({ success: false, error: 'No image provided' })
+    // Queue every valid file up front so the worker can run them concurrently
+    const queued = []
+    for (const { name, image } of entries) {
+        if (image.error) {
+            queued.push({ name, error: image.error, code: image.code })
+            continue
         }
+        const { job } = await queueRemovalJob(image.name, image.buffer, {
+            apiKey: c.get('apiKey'),
+            mode,
+            preset,
+            hint,
+            tiling,
+            output,
+            noCache,
+        })
+        queued.push({ name, job })
+    }
 
-        if (!isValidImageType(image.name)) {
-            log(`Invalid file type: ${image.name}`, 'error')
-            return c.json({
-                success: false,
-                error: 'Invalid file type. Supported formats: PNG, JPG, JPEG, WebP, SVG, GIF, BMP, TIFF, AVIF',
-            })
+    const usedNames = new Set(['manifest.json'])
+    const files = []
+    const results = []
+
+    for (const { name, job, error, code } of queued) {
+        const entry = {
+            file: name,
+            output: null,
+            jobId: job ? job.id : null,
+            hasWatermark: null,
+            watermarkRemoved: false,
+            explanation: null,
+            error: error || null,
+        }
+        if (code) {
+            entry.code = code
         }
 
-        // Get and sanitize the original filename
-        const originalFilename = image.name
-        const sanitizedFilename = sanitizeFilename(originalFilename)
-        const timestamp = Date.now()
+        if (job) {
+            const finishedJob = await jobQueue.waitFor(job.id)
+            if (finishedJob.state === 'failed') {
+                const { message, code } = jobError(finishedJob)
+                entry.error = message
+                entry.code = code
+            } else {
+                const { processedPath, ...result } = finishedJob.result
+                const baseName = path.basename(
+                    sanitizeFilename(name),
+                    path.extname(name)
+                )
+                entry.output = uniqueArchiveName(
+                    `${baseName}_processed${path.extname(processedPath)}`,
+                    usedNames
+                )
+                entry.hasWatermark = result.hasWatermark ?? null
+                entry.watermarkRemoved = result.watermarkRemoved
+                entry.explanation = result.explanation || result.text
+                entry.quality = result.quality ?? null
+                entry.cached = result.cached ?? false
+                entry.resultId = result.resultId ?? null
+                if (result.parseError) {
+                    entry.parseError = result.parseError
+                }
+                files.push({
+                    name: entry.output,
+                    buffer: fs.readFileSync(processedPath),
+                })
+            }
+        }
+
+        results.push(entry)
+    }
+
+    const manifest = {
+        total: results.length,
+        processed: files.length,
+        failed: results.filter((entry) => entry.error).length,
+        files: results,
+    }
+    log(
+        `Batch completed: ${manifest.processed} processed, ${manifest.failed} failed`
+    )
+
+    return c.body(buildBatchArchive(files, manifest), 200, {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="watermark-removal-${Date.now()}.zip"`,
+    })
+})
 
-        log(`Processing watermark removal for image: ${originalFilename}`)
+// Helper function to get a job's pipeline stage; finished jobs report their state
+function getStage(job) {
+    if (job.state === 'done' || job.state === 'failed') {
+        return job.state
+    }
+    return job.stage || job.state
+}
 
-        const buffer = await image.arrayBuffer()
-        const originalImageData = Buffer.from(buffer)
+// Helper function to look up the job named in the URL. Jobs created with an
+// API key are only visible to that key.
+function findVisibleJob(c) {
+    const job = jobQueue.get(c.req.param('id'))
+    const apiKey = c.get('apiKey')
+    if (!job || (job.payload.keyId && job.payload.keyId !== apiKey?.id)) {
+        return null
+    }
+    return job
+}
 
-        // Convert image if needed
-        const {
-            buffer: processableImageData,
-            filename: processableFilename,
-            converted,
-            hasTransparency,
-            originalBuffer,
-            originalFormat,
-        } = await convertToSupportedFormat(originalImageData, image.name)
+// API endpoint for polling a removal job
+app.get('/api/jobs/:id', (c) => {
+    const job = findVisibleJob(c)
+    if (!job) {
+        throw new AppError('NOT_FOUND', 'Job not found')
+    }
+
+    const status = {
+        success: true,
+        jobId: job.id,
+        state: job.state,
+        stage: getStage(job),
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        retryAt: job.retryAt,
+        tiles: job.tiles,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+    }
 
-        if (converted) {
+    if (job.state === 'failed') {
+        const { message, code } = jobError(job)
+        status.error = message
+        status.code = code
+    } else if (job.state === 'done') {
+        try {
+            status.result = buildJobResponse(
+                job,
+                c.req.query('response') === 'url' ? 'url' : 'json'
+            )
+        } catch (error) {
             log(
-                `Image was converted from ${path.extname(
-                    image.name
-                )} to ${path.extname(processableFilename)}`,
-                'info'
+                `Error loading result for job ${job.id}: ${error.message}`,
+                'error'
             )
+            status.state = 'failed'
+            status.error = 'Processed image is no longer available'
+            status.code = 'NOT_FOUND'
         }
+    }
+
+    return c.json(status)
+})
 
-        // Use the sanitized filename for temporary storage
-        const tempPath = path.join(
-            uploadDir,
-            `temp_${timestamp}_${sanitizedFilename}`
+// Helper function to describe a job's current stage as a progress event
+function describeStage(job) {
+    const event = {
+        stage: getStage(job),
+        state: job.state,
+        ...(job.stageDetails || {}),
+    }
+    if (job.tiles) {
+        event.tiles = job.tiles
+    }
+    if (event.stage === 'backoff' && job.retryAt) {
+        event.secondsRemaining = Math.max(
+            0,
+            Math.ceil((Date.parse(job.retryAt) - Date.now()) / 1000)
         )
-        fs.writeFileSync(tempPath, originalImageData)
+    }
+    return event
+}
 
-        // Add a delay between API calls to avoid rate limits
-        await delay(10000) // 10 second delay between requests
+// Server-Sent Events stream of a removal job's progress. Sends `stage`
+// events as the job moves through the pipeline (once a second during a
+// backoff, with secondsRemaining), then a final `done` event with the result
+// as returned for response=url, or a `failed` event with the error.
+app.get('/api/jobs/:id/events', (c) => {
+    const job = findVisibleJob(c)
+    if (!job) {
+        throw new AppError('NOT_FOUND', 'Job not found')
+    }
 
-        const response = await removeWatermarkWithGemini(
-            processableImageData,
-            processableFilename,
-            prompt
-        )
-        let textResponse = null
-        let jsonResponse = null
-        let processedImageData = null
-        let imageReturned = false
-
-        // For debugging, let's log the full response object
-        log(
-            `Gemini response payload: ${JSON.stringify(response, null, 2)}`,
-            'debug'
-        )
+    return streamSSE(c, async (stream) => {
+        // Chain writes so events go out in order
+        let writing = Promise.resolve()
+        const send = (event, data) => {
+            writing = writing
+                .then(() =>
+                    stream.writeSSE({ event, data: JSON.stringify(data) })
+                )
+                .catch(() => {})
+        }
 
-        // Process the response parts
-        const candidate = response.candidates && response.candidates[0]
-        if (candidate && candidate.content && candidate.content.parts) {
-            for (const part of candidate.content.parts) {
-                if (part.text) {
-                    try {
-                        textResponse = part.text
-                        jsonResponse = JSON.parse(textResponse)
-                    } catch (e) {
-                        textResponse = part.text
-                    }
-                } else if (part.inlineData && part.inlineData.data) {
-                    processedImageData = Buffer.from(
-                        part.inlineData.data,
-                        'base64'
-                    )
-                    imageReturned = true
-                    log(
-                        `Image returned from Gemini, setting imageReturned to true`,
-                        'debug'
-                    )
-                }
-            }
-        } else if (candidate) {
-            // Handle cases where the response structure is unexpected
-            log(
-                `No content parts found in Gemini response. Finish reason: ${candidate.finishReason}`,
-                'warn'
-            )
-            if (candidate.finishReason === 'SAFETY') {
-                textResponse =
-                    'The image could not be processed due to safety settings.'
-            } else if (candidate.finishReason === 'RECITATION') {
-                textResponse =
-                    'The image could not be processed due to recitation restrictions.'
-            } else {
-                textResponse = `Image processing failed with reason: ${candidate.finishReason}`
+        let lastStage = null
+        const sendStage = (current) => {
+            const data = describeStage(current)
+            const serialized = JSON.stringify(data)
+            if (serialized !== lastStage) {
+                lastStage = serialized
+                send('stage', data)
             }
         }
 
-        // If no processed image was returned, use the original image
-        if (!processedImageData) {
-            log(
-                'No processed image received from Gemini, using original image',
-                'warn'
-            )
-            processedImageData = originalImageData
-            imageReturned = false
-            log(
-                `Explicitly setting imageReturned to false due to no image`,
-                'debug'
-            )
-            if (!textResponse) {
-                textResponse =
-                    "The AI model couldn't process the image. The original image has been preserved."
+        await new Promise((resolve) => {
+            let ticks = 0
+            let timer = null
+
+            const onUpdate = (updated) => {
+                if (updated.id !== job.id) {
+                    return
+                }
+                if (updated.state === 'done' || updated.state === 'failed') {
+                    finish(updated)
+                } else {
+                    sendStage(updated)
+                }
             }
-        }
 
-        // Sometimes Gemini returns a blank image, so we need to check if the processed image is 99.99% all white (indicating a failed removal)
-        // Check if the processed image is mostly white (indicating a failed removal)
-        if (imageReturned) {
-            // Use a stricter threshold (higher value) for images that likely have white backgrounds already
-            // Use a more lenient threshold for images that are likely to have colorful backgrounds
-            const fileExtension = path.extname(image.name).toLowerCase()
-            const whiteThreshold =
-                fileExtension === '.jpg' || fileExtension === '.jpeg'
-                    ? 0.999
-                    : 0.99
-            const avgBrightnessThreshold =
-                fileExtension === '.jpg' || fileExtension === '.jpeg'
-                    ? 0.999
-                    : 0.99
-
-            const isMostlyWhite = await isImageMostlyWhite(
-                processedImageData,
-                whiteThreshold,
-                avgBrightnessThreshold
-            )
-            if (isMostlyWhite) {
-                log(
-                    `Processed image is mostly white (threshold: ${whiteThreshold}), likely a failed removal. Reverting to original image.`,
-                    'warn'
-                )
-                processedImageData = originalImageData
-                imageReturned = false
-                if (!textResponse) {
-                    textResponse =
-                        'The AI model returned a blank or mostly white image, indicating it removed too much content. The original image has been preserved.'
+            const stop = () => {
+                jobQueue.events.off('update', onUpdate)
+                clearInterval(timer)
+                resolve()
+            }
+
+            const finish = (finished) => {
+                if (finished.state === 'done') {
+                    try {
+                        send('done', buildJobResponse(finished, 'url'))
+                    } catch (error) {
+                        send('failed', {
+                            error: 'Processed image is no longer available',
+                            code: 'NOT_FOUND',
+                        })
+                    }
+                } else {
+                    const { message, code } = jobError(finished)
+                    send('failed', { error: message, code })
                 }
+                stop()
             }
-        }
 
-        // Reapply transparency if the original image had it and we got a processed result
-        if (hasTransparency && imageReturned && originalBuffer) {
-            log(
-                'Original image had transparency, reapplying to the processed image',
-                'info'
-            )
-            processedImageData = await reapplyTransparency(
-                processedImageData,
-                originalBuffer,
-                originalFormat
-            )
-        }
+            stream.onAbort(stop)
+            send('stage', {
+                stage: 'uploaded',
+                filename: job.payload.originalFilename,
+            })
+            if (job.state === 'done' || job.state === 'failed') {
+                finish(job)
+                return
+            }
+            sendStage(job)
+            jobQueue.events.on('update', onUpdate)
+
+            // Count down backoffs and keep idle connections open
+            timer = setInterval(() => {
+                ticks++
+                if (job.stage === 'backoff') {
+                    sendStage(job)
+                } else if (ticks % 15 === 0) {
+                    writing = writing
+                        .then(() => stream.write(': keep-alive\n\n'))
+                        .catch(() => {})
+                }
+            }, 1000)
+        })
 
-        // Ensure processed image is saved with the correct extension
-        let processedFilename = sanitizedFilename
-        let outputMimeType = getMimeType(sanitizedFilename)
+        await writing
+    })
+})
 
-        if (converted || hasTransparency) {
-            // If the original image was converted or had transparency, make sure the processed file uses the PNG extension
-            const baseFilename = path.basename(
-                processedFilename,
-                path.extname(processedFilename)
-            )
-            processedFilename = `${baseFilename}.png`
-            outputMimeType = 'image/png'
-            log(
-                `Setting output MIME type to ${outputMimeType} for transparency or converted image`,
-                'debug'
-            )
-        }
+// Helper function to find the finished job behind a result id. Results of
+// jobs created with an API key are only visible to that key.
+function findResultJob(c) {
+    const resultId = c.req.param('id')
+    const job = jobQueue.find((entry) => entry.result?.resultId === resultId)
+    const apiKey = c.get('apiKey')
+    if (!job || (job.payload.keyId && job.payload.keyId !== apiKey?.id)) {
+        return null
+    }
+    return job
+}
 
-        // Save processed image with sanitized original filename
-        const processedPath = path.join(
-            processedDir,
-            `processed_${timestamp}_${processedFilename}`
-        )
-        fs.writeFileSync(processedPath, processedImageData)
+// API endpoint for downloading a processed image
+app.get('/api/results/:id', (c) => {
+    const job = findResultJob(c)
+    if (!job) {
+        throw new AppError('NOT_FOUND', 'Result not found')
+    }
+    return sendJobResult(c, job)
+})
+
+// API endpoint for downloading the image a result was made from. Uploads
+// are kept according to the retention settings (none with PERSIST_UPLOADS=false).
+app.get('/api/results/:id/original', (c) => {
+    const job = findResultJob(c)
+    if (!job) {
+        throw new AppError('NOT_FOUND', 'Result not found')
+    }
+
+    const { inputPath, originalFilename } = job.payload
+    let mimeType = 'application/octet-stream'
+    try {
+        const fd = fs.openSync(inputPath, 'r')
+        // Enough of the file to find an <svg> root after an XML prolog
+        const header = Buffer.alloc(4096)
+        const bytesRead = fs.readSync(fd, header, 0, header.length, 0)
+        fs.closeSync(fd)
+        mimeType = sniffMimeType(header.subarray(0, bytesRead))
+    } catch (error) {
+        // Missing uploads are reported below
+    }
 
-        // Clean up the temporary file
-        // fs.unlinkSync(tempPath)
-        // WILL DO THIS AS A CRONJOB LATER
+    const response = sendStoredImage(c, inputPath, {
+        mimeType,
+        etag: `${job.result.resultId}-original`,
+        filename: sanitizeFilename(originalFilename),
+    })
+    if (!response) {
+        throw new AppError('NOT_FOUND', 'Original image is no longer available')
+    }
+    return response
+})
 
-        // Use the flag directly instead of comparing buffer contents
-        const watermarkRemoved = imageReturned
-        log(`Setting watermarkRemoved to: ${watermarkRemoved}`, 'debug')
+// API endpoint for adding a visible text or logo watermark
+app.post('/api/add-watermark', async (c) => {
+    const data = await readFormData(c)
+    const image = data.get('image')
+    const logo = data.get('logo')
 
-        const result = {
-            success: true,
-            text: textResponse || 'Image processed successfully',
-            image: processedImageData.toString('base64'),
-            mimeType: outputMimeType, // Add MIME type to the response
-            ...(jsonResponse || {}),
-            watermarkRemoved,
+    if (!image || typeof image === 'string') {
+        throw new AppError('INVALID_INPUT', 'No image provided')
+    }
+
+    const checkedImage = await readUploadedImage(image)
+    if (checkedImage.error) {
+        throw imageError(checkedImage)
+    }
+    let checkedLogo = null
+    if (logo && typeof logo !== 'string') {
+        checkedLogo = await readUploadedImage(logo)
+        if (checkedLogo.error) {
+            throw imageError({
+                ...checkedLogo,
+                error: `Invalid logo: ${checkedLogo.error}`,
+            })
         }
-        log(
-            `Processing completed for ${originalFilename}. Removed: ${result.watermarkRemoved}`
-        )
+    }
 
-        return c.json(result)
+    const fields = {}
+    for (const name of [
+        'text',
+        'font',
+        'fontSize',
+        'color',
+        'opacity',
+        'rotation',
+        'position',
+        'margin',
+        'scale',
+    ]) {
+        const value = data.get(name)
+        if (typeof value === 'string') {
+            fields[name] = value
+        }
+    }
+    if (checkedLogo) {
+        fields.logo = checkedLogo.buffer
+    }
+
+    let options
+    try {
+        options = normalizeWatermarkOptions(fields)
     } catch (error) {
-        log(`Error processing image: ${error.message}`, 'error')
-        return c.json({ success: false, error: error.message })
+        throw new AppError('INVALID_INPUT', error.message, { cause: error })
     }
+
+    log(
+        `Adding ${options.text ? 'text' : 'logo'} watermark (${
+            options.position
+        }) to image: ${image.name}`
+    )
+
+    const { buffer, mimeType, extension } = await addWatermark(
+        checkedImage.buffer,
+        options
+    )
+
+    const sanitizedFilename = sanitizeFilename(checkedImage.name)
+    const baseFilename = path.basename(
+        sanitizedFilename,
+        path.extname(sanitizedFilename)
+    )
+    const watermarkedPath = path.join(
+        processedDir,
+        `watermarked_${Date.now()}_${baseFilename}${extension}`
+    )
+    fs.writeFileSync(watermarkedPath, buffer)
+
+    return c.json({
+        success: true,
+        image: buffer.toString('base64'),
+        mimeType,
+    })
+})
+
+// Admin endpoint to list API keys with this month's usage
+app.get('/api/admin/keys', (c) =>
+    c.json({ success: true, keys: apiKeys.list() })
+)
+
+// Admin endpoint to create an API key. The key is only returned once.
+app.post('/api/admin/keys', async (c) => {
+    const body = await c.req.json().catch((error) => {
+        throw new AppError('INVALID_INPUT', 'Request body is not valid JSON', {
+            cause: error,
+        })
+    })
+    const key = apiKeys.create(body)
+    return c.json({ success: true, ...key }, 201)
+})
+
+// Admin endpoint to revoke an API key
+app.delete('/api/admin/keys/:id', (c) => {
+    const key = apiKeys.revoke(c.req.param('id'))
+    if (!key) {
+        throw new AppError('NOT_FOUND', 'API key not found')
+    }
+    return c.json({ success: true, key })
+})
+
+// Admin endpoint to report usage from the ledger, optionally filtered by
+// ?keyId= and ?month=YYYY-MM
+app.get('/api/admin/usage', (c) =>
+    c.json({
+        success: true,
+        usage: apiKeys.usage({
+            keyId: c.req.query('keyId'),
+            month: c.req.query('month'),
+        }),
+    })
+)
+
+// Admin endpoint to list the prompt presets clients can pick with `preset`
+app.get('/api/admin/presets', (c) =>
+    c.json({
+        success: true,
+        defaultPreset: promptPresets.defaultPreset,
+        presets: promptPresets.list(),
+    })
+)
+
+// Admin endpoint to report disk usage per directory, the retention limits
+// and the result of the last retention sweep
+app.get('/api/admin/storage', (c) =>
+    c.json({
+        success: true,
+        ...retention.usage(),
+        cache: resultCache.stats(),
+        persistUploads: retentionConfig.persistUploads,
+    })
+)
+
+// Gauges read when /metrics is scraped
+metricsRegistry.gauge('jobs', 'Removal jobs by state', () => {
+    const { queued, active } = jobQueue.stats()
+    return [
+        { labels: { state: 'queued' }, value: queued },
+        { labels: { state: 'running' }, value: active },
+    ]
+})
+metricsRegistry.gauge('cache_entries', 'Entries in the result cache', () => [
+    { value: resultCache.stats().entries },
+])
+metricsRegistry.gauge(
+    'cache_bytes',
+    'Size of the result cache in bytes',
+    () => [{ value: resultCache.stats().bytes }]
+)
+
+// Prometheus metrics endpoint. Set METRICS_TOKEN to require it as a bearer
+// token.
+app.get('/metrics', (c) => {
+    const token = process.env.METRICS_TOKEN
+    if (token && !secretsMatch(getBearerToken(c) || '', token)) {
+        return c.text('Unauthorized\n', 401)
+    }
+    return c.body(metricsRegistry.render(), 200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+    })
 })
 
 // Health check endpoint
 app.get('/health', (c) => c.json({ status: 'ok' }))
 
+// Readiness checks: writable directories, image decoding, provider
+// credentials, queue depth and free disk space
+const readiness = createReadinessChecks({
+    directories: [
+        { name: 'uploads', dir: uploadDir },
+        { name: 'processed', dir: processedDir },
+        { name: 'logs', dir: logDir },
+    ],
+    provider,
+    queueStats: () => jobQueue.stats(),
+    ...getReadinessConfig(),
+})
+
+// Readiness endpoint for container orchestrators. Answers 503 while any
+// check fails.
+app.get('/health/ready', async (c) => {
+    const { ready, checks } = await readiness.check()
+    if (!ready) {
+        log('Readiness check failed', 'warn', {
+            failed: Object.keys(checks).filter((name) => !checks[name].ok),
+        })
+    }
+    return c.json(
+        { status: ready ? 'ready' : 'not_ready', checks },
+        ready ? 200 : 503
+    )
+})
+
 // Start the server
 const port = process.env.PORT || 3000
 log(`Server is running on http://localhost:${port}`)
@@ -826,3 +1963,7 @@ serve({
     fetch: app.fetch,
     port,
 })
+
+jobQueue.start()
+// Sweep after the queue has restored its jobs so their inputs are protected
+retention.start()
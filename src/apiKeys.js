@@ -0,0 +1,323 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { createHash, randomBytes, randomUUID } from 'crypto'
+import { AppError } from './errors.js'
+
+const QUOTA_FIELDS = [
+    'requestsPerMinute',
+    'imagesPerMinute',
+    'requestsPerMonth',
+    'imagesPerMonth',
+]
+
+const MINUTE_MS = 60 * 1000
+
+function hashKey(key) {
+    return createHash('sha256').update(key).digest('hex')
+}
+
+function currentMonth(date = new Date()) {
+    return date.toISOString().slice(0, 7)
+}
+
+// Helper function to tell whether a ledger entry counted against the request
+// quota. Entries written before `requests` was recorded were charged unless
+// the quota rejected them.
+function chargedRequests(entry) {
+    if (entry.requests !== undefined) {
+        return entry.requests
+    }
+    return entry.outcome === 'quota_exceeded' ? 0 : 1
+}
+
+// Helper function to check for a plain (non-array) object
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Helper function to turn a key record into its public form (no hash)
+function toPublicKey({ hash, ...key }) {
+    return key
+}
+
+// API key store with per-key quotas and a usage ledger.
+// Keys live in <dir>/api-keys.json (only a SHA-256 hash of each key is kept)
+// and every metered call is appended to <dir>/usage-ledger.jsonl.
+export function createApiKeyStore({ dir, log = () => {} }) {
+    const keysFile = path.join(dir, 'api-keys.json')
+    const ledgerFile = path.join(dir, 'usage-ledger.jsonl')
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true })
+    }
+
+    const keys = fs.existsSync(keysFile)
+        ? JSON.parse(fs.readFileSync(keysFile, 'utf-8'))
+        : []
+    const keysByHash = new Map(keys.map((key) => [key.hash, key]))
+
+    // Sliding one-minute windows and monthly totals per key id
+    const minuteWindows = new Map()
+    const monthlyTotals = new Map()
+
+    function monthlyTotal(keyId, month = currentMonth()) {
+        const id = `${keyId}:${month}`
+        if (!monthlyTotals.has(id)) {
+            monthlyTotals.set(id, { requests: 0, images: 0 })
+        }
+        return monthlyTotals.get(id)
+    }
+
+    function minuteWindow(keyId) {
+        const now = Date.now()
+        const events = (minuteWindows.get(keyId) || []).filter(
+            (event) => now - event.time < MINUTE_MS
+        )
+        minuteWindows.set(keyId, events)
+        return events
+    }
+
+    // Rebuild this month's totals from the ledger
+    if (fs.existsSync(ledgerFile)) {
+        const month = currentMonth()
+        for (const line of fs.readFileSync(ledgerFile, 'utf-8').split('\n')) {
+            if (!line.trim()) {
+                continue
+            }
+            try {
+                const entry = JSON.parse(line)
+                if (entry.keyId && entry.timestamp.startsWith(month)) {
+                    const total = monthlyTotal(entry.keyId, month)
+                    total.requests += chargedRequests(entry)
+                    total.images += entry.images || 0
+                }
+            } catch (error) {
+                log(`Skipping malformed ledger line: ${error.message}`, 'warn')
+            }
+        }
+    }
+
+    function save() {
+        const tempFile = `${keysFile}.tmp`
+        fs.writeFileSync(tempFile, JSON.stringify(keys, null, 2))
+        fs.renameSync(tempFile, keysFile)
+    }
+
+    // Create a key; the plaintext key is only ever returned here. Invalid
+    // fields throw INVALID_INPUT.
+    function create(fields) {
+        if (!isPlainObject(fields)) {
+            throw new AppError('INVALID_INPUT', 'Key details must be an object')
+        }
+        const { name, quotas = {} } = fields
+        if (!name || typeof name !== 'string') {
+            throw new AppError('INVALID_INPUT', 'A key name is required')
+        }
+        if (!isPlainObject(quotas)) {
+            throw new AppError('INVALID_INPUT', 'quotas must be an object')
+        }
+
+        const normalizedQuotas = {}
+        for (const field of QUOTA_FIELDS) {
+            const value = quotas[field]
+            if (value === undefined || value === null) {
+                normalizedQuotas[field] = null
+            } else if (Number.isInteger(value) && value >= 0) {
+                normalizedQuotas[field] = value
+            } else {
+                throw new AppError(
+                    'INVALID_INPUT',
+                    `Quota ${field} must be a non-negative integer`
+                )
+            }
+        }
+
+        const plaintext = `wm_${randomBytes(24).toString('base64url')}`
+        const key = {
+            id: randomUUID(),
+            name,
+            prefix: plaintext.slice(0, 7),
+            hash: hashKey(plaintext),
+            quotas: normalizedQuotas,
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+        }
+
+        keys.push(key)
+        keysByHash.set(key.hash, key)
+        save()
+        log(`Created API key ${key.id} (${name})`)
+
+        return { ...toPublicKey(key), key: plaintext }
+    }
+
+    function revoke(id) {
+        const key = keys.find((candidate) => candidate.id === id)
+        if (!key) {
+            return null
+        }
+        if (!key.revokedAt) {
+            key.revokedAt = new Date().toISOString()
+            save()
+            log(`Revoked API key ${key.id} (${key.name})`)
+        }
+        return toPublicKey(key)
+    }
+
+    function list() {
+        return keys.map((key) => ({
+            ...toPublicKey(key),
+            usageThisMonth: { ...monthlyTotal(key.id) },
+        }))
+    }
+
+    // Resolve a plaintext key to its record, or null if unknown or revoked
+    function authenticate(plaintext) {
+        const key = keysByHash.get(hashKey(plaintext))
+        if (!key || key.revokedAt) {
+            return null
+        }
+        return key
+    }
+
+    // Check whether a key may spend the given number of requests and images.
+    // Returns null when allowed, otherwise { error, retryAfter } where
+    // retryAfter is the number of seconds until the quota frees up.
+    function checkQuota(key, { requests = 0, images = 0 }) {
+        const { quotas } = key
+        const events = minuteWindow(key.id)
+        const minute = events.reduce(
+            (totals, event) => ({
+                requests: totals.requests + event.requests,
+                images: totals.images + event.images,
+            }),
+            { requests: 0, images: 0 }
+        )
+        const retryAfter =
+            events.length > 0
+                ? Math.ceil((events[0].time + MINUTE_MS - Date.now()) / 1000)
+                : 60
+
+        if (
+            quotas.requestsPerMinute !== null &&
+            minute.requests + requests > quotas.requestsPerMinute
+        ) {
+            return { error: 'Per-minute request quota exceeded', retryAfter }
+        }
+        if (
+            quotas.imagesPerMinute !== null &&
+            minute.images + images > quotas.imagesPerMinute
+        ) {
+            return { error: 'Per-minute image quota exceeded', retryAfter }
+        }
+
+        const month = monthlyTotal(key.id)
+        const now = new Date()
+        const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1)
+        const monthRetryAfter = Math.ceil((nextMonth - now.getTime()) / 1000)
+
+        if (
+            quotas.requestsPerMonth !== null &&
+            month.requests + requests > quotas.requestsPerMonth
+        ) {
+            return {
+                error: 'Monthly request quota exceeded',
+                retryAfter: monthRetryAfter,
+            }
+        }
+        if (
+            quotas.imagesPerMonth !== null &&
+            month.images + images > quotas.imagesPerMonth
+        ) {
+            return {
+                error: 'Monthly image quota exceeded',
+                retryAfter: monthRetryAfter,
+            }
+        }
+
+        return null
+    }
+
+    // Count usage against a key's quotas
+    function consume(key, { requests = 0, images = 0 }) {
+        minuteWindow(key.id).push({ time: Date.now(), requests, images })
+        const month = monthlyTotal(key.id)
+        month.requests += requests
+        month.images += images
+    }
+
+    // Append a metered call to the usage ledger
+    function record(entry) {
+        fs.appendFileSync(
+            ledgerFile,
+            `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`
+        )
+    }
+
+    // Aggregate the ledger per key, optionally filtered by key id and month
+    function usage({ keyId, month } = {}) {
+        const totals = new Map()
+        if (!fs.existsSync(ledgerFile)) {
+            return []
+        }
+
+        for (const line of fs.readFileSync(ledgerFile, 'utf-8').split('\n')) {
+            if (!line.trim()) {
+                continue
+            }
+            let entry
+            try {
+                entry = JSON.parse(line)
+            } catch (error) {
+                continue
+            }
+            if (keyId && entry.keyId !== keyId) {
+                continue
+            }
+            if (month && !entry.timestamp.startsWith(month)) {
+                continue
+            }
+
+            const id = entry.keyId || 'anonymous'
+            if (!totals.has(id)) {
+                totals.set(id, {
+                    keyId: entry.keyId || null,
+                    keyName: entry.keyName || null,
+                    requests: 0,
+                    images: 0,
+                    succeeded: 0,
+                    failed: 0,
+                    quotaExceeded: 0,
+                    rateLimited: 0,
+                    byRoute: {},
+                })
+            }
+            const total = totals.get(id)
+            total.requests += chargedRequests(entry)
+            total.images += entry.images || 0
+            if (entry.outcome === 'success') {
+                total.succeeded += 1
+            } else if (entry.outcome === 'quota_exceeded') {
+                total.quotaExceeded += 1
+            } else if (entry.outcome === 'rate_limited') {
+                total.rateLimited += 1
+            } else {
+                total.failed += 1
+            }
+            total.byRoute[entry.route] = (total.byRoute[entry.route] || 0) + 1
+        }
+
+        return [...totals.values()]
+    }
+
+    return {
+        create,
+        revoke,
+        list,
+        authenticate,
+        checkQuota,
+        consume,
+        record,
+        usage,
+    }
+}
@@ -0,0 +1,131 @@
+import * as path from 'path'
+import AdmZip from 'adm-zip'
+import { AppError } from './errors.js'
+import { fileTooLargeError, UploadError } from './upload.js'
+
+const MAX_BATCH_FILES = Number(process.env.BATCH_MAX_FILES) || 100
+const MAX_BATCH_BYTES = (Number(process.env.BATCH_MAX_MB) || 500) * 1024 * 1024
+
+// Helper function to check if an upload is a ZIP archive
+export function isZipUpload(filename, buffer) {
+    // ZIP local file headers start with "PK\x03\x04"
+    return (
+        path.extname(filename).toLowerCase() === '.zip' ||
+        (buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50)
+    )
+}
+
+// Helper function to list the entries of a ZIP archive without inflating them
+function readArchiveEntries(name, buffer) {
+    try {
+        return new AdmZip(buffer).getEntries()
+    } catch (error) {
+        throw new AppError(
+            'INVALID_INPUT',
+            `${name} is not a valid ZIP archive`,
+            { cause: error }
+        )
+    }
+}
+
+// Expand uploaded files into a flat list of { name, buffer } entries.
+// ZIP uploads are unpacked in memory; directory entries, hidden files and
+// macOS resource forks are skipped, and only the base name of each entry is
+// kept so archive paths never reach the filesystem. The number of files and
+// the sizes archive entries declare are checked before anything is inflated.
+// Archive entries over maxBytes, or that fail to inflate, carry an `error`
+// (an UploadError) instead of a buffer.
+export function expandBatchUploads(uploads, { maxBytes = 0 } = {}) {
+    const files = []
+
+    for (const { name, buffer } of uploads) {
+        if (!isZipUpload(name, buffer)) {
+            files.push({ name, size: buffer.length, buffer })
+            continue
+        }
+
+        for (const entry of readArchiveEntries(name, buffer)) {
+            const entryName = path.posix.basename(entry.entryName)
+            if (
+                entry.isDirectory ||
+                entry.entryName.startsWith('__MACOSX/') ||
+                entryName.startsWith('.')
+            ) {
+                continue
+            }
+            // adm-zip inflates at most the declared size, so that is what is
+            // checked; entries declaring 0 bytes are not inflated at all
+            files.push({ name: entryName, size: entry.header.size, entry })
+        }
+    }
+
+    if (files.length > MAX_BATCH_FILES) {
+        throw new AppError(
+            'INVALID_INPUT',
+            `Too many files in batch (${files.length}). Maximum is ${MAX_BATCH_FILES}.`
+        )
+    }
+
+    // Entries over maxBytes are rejected without being inflated, so they do
+    // not count towards the batch size
+    const totalBytes = files
+        .filter(({ size }) => !maxBytes || size <= maxBytes)
+        .reduce((total, { size }) => total + size, 0)
+    if (totalBytes > MAX_BATCH_BYTES) {
+        throw new AppError(
+            'REQUEST_TOO_LARGE',
+            `Batch is ${totalBytes} bytes uncompressed. The maximum is ${MAX_BATCH_BYTES} bytes.`
+        )
+    }
+
+    return files.map(({ name, size, buffer, entry }) => {
+        if (buffer) {
+            return { name, buffer }
+        }
+        if (maxBytes && size > maxBytes) {
+            return { name, error: fileTooLargeError(size, maxBytes) }
+        }
+        if (size === 0) {
+            return { name, buffer: Buffer.alloc(0) }
+        }
+        try {
+            return { name, buffer: entry.getData() }
+        } catch (error) {
+            return {
+                name,
+                error: new UploadError(
+                    'INVALID_IMAGE',
+                    `Could not extract the file from the archive: ${error.message}`,
+                    400
+                ),
+            }
+        }
+    })
+}
+
+// Build the response archive from processed files and the batch manifest
+export function buildBatchArchive(files, manifest) {
+    const zip = new AdmZip()
+    for (const { name, buffer } of files) {
+        zip.addFile(name, buffer)
+    }
+    zip.addFile(
+        'manifest.json',
+        Buffer.from(JSON.stringify(manifest, null, 2), 'utf-8')
+    )
+    return zip.toBuffer()
+}
+
+// Helper function to pick an archive name that is not already taken
+export function uniqueArchiveName(name, usedNames) {
+    const ext = path.extname(name)
+    const base = path.basename(name, ext)
+    let candidate = name
+    let counter = 1
+    while (usedNames.has(candidate)) {
+        candidate = `${base}_${counter}${ext}`
+        counter++
+    }
+    usedNames.add(candidate)
+    return candidate
+}
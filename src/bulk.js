@@ -0,0 +1,180 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { isValidImageType } from './pipeline.js'
+
+// Columns of the CSV report, in order
+export const REPORT_COLUMNS = [
+    'file',
+    'output',
+    'status',
+    'hasWatermark',
+    'watermarkRemoved',
+    'watermarkType',
+    'location',
+    'confidence',
+    'explanation',
+    'ssim',
+    'durationMs',
+    'resumed',
+    'error',
+]
+
+// Helper function to turn a glob (*, ** and ?) into a regular expression
+// matched against paths relative to the glob's base directory
+function globToRegExp(pattern) {
+    let source = ''
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i]
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            const slash = pattern[i + 2] === '/'
+            source += slash ? '(?:.*/)?' : '.*'
+            i += slash ? 2 : 1
+        } else if (char === '*') {
+            source += '[^/]*'
+        } else if (char === '?') {
+            source += '[^/]'
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        }
+    }
+    return new RegExp(`^${source}$`)
+}
+
+// Helper function to list the files under a directory, skipping hidden ones
+function walk(dir, files = []) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) {
+            continue
+        }
+        const entryPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+            walk(entryPath, files)
+        } else if (entry.isFile()) {
+            files.push(entryPath)
+        }
+    }
+    return files
+}
+
+// Expand directories, files and globs into the images to process.
+// Returns [{ path, relative }] where relative is the path below the
+// directory (or the glob's base directory) it was found in, used to mirror
+// the input layout in the output directory. Files that are not supported
+// images are left out.
+export function listInputFiles(inputs) {
+    const found = new Map()
+    const add = (filePath, base) => {
+        if (isValidImageType(filePath) && !found.has(path.resolve(filePath))) {
+            found.set(path.resolve(filePath), {
+                path: filePath,
+                relative: path.relative(base, filePath),
+            })
+        }
+    }
+
+    for (const input of inputs) {
+        if (!/[*?]/.test(input)) {
+            if (!fs.existsSync(input)) {
+                throw new Error(`Input not found: ${input}`)
+            }
+            if (fs.statSync(input).isDirectory()) {
+                walk(input).forEach((file) => add(file, input))
+            } else {
+                add(input, path.dirname(input))
+            }
+            continue
+        }
+
+        // Walk from the directories before the first wildcard
+        const parts = input.split(/[\\/]/)
+        const firstWildcard = parts.findIndex((part) => /[*?]/.test(part))
+        const base = parts.slice(0, firstWildcard).join(path.sep) || '.'
+        const matcher = globToRegExp(parts.slice(firstWildcard).join('/'))
+        if (fs.existsSync(base)) {
+            for (const file of walk(base)) {
+                const relative = path.relative(base, file).split(path.sep)
+                if (matcher.test(relative.join('/'))) {
+                    add(file, base)
+                }
+            }
+        }
+    }
+
+    return [...found.values()].sort((a, b) =>
+        a.relative.localeCompare(b.relative)
+    )
+}
+
+// Record of finished files kept in the output directory so an interrupted
+// run can resume. Entries are keyed by input path and remember the input's
+// size and modification time, so changed inputs are processed again.
+export function createRunState(file) {
+    let files = {}
+    if (fs.existsSync(file)) {
+        try {
+            files = JSON.parse(fs.readFileSync(file, 'utf8')).files || {}
+        } catch (error) {
+            // A damaged state file only means everything is processed again
+        }
+    }
+
+    // Helper function to identify the version of an input that was processed
+    const fingerprint = (inputPath) => {
+        const stat = fs.statSync(inputPath)
+        return { size: stat.size, mtimeMs: stat.mtimeMs }
+    }
+
+    return {
+        // The entry saved for an input, unless the input changed since
+        get(key, inputPath) {
+            const saved = files[key]
+            if (!saved) {
+                return null
+            }
+            const { size, mtimeMs } = fingerprint(inputPath)
+            return saved.size === size && saved.mtimeMs === mtimeMs
+                ? saved.entry
+                : null
+        },
+
+        // Save an entry straight away, so it survives the run being stopped
+        set(key, inputPath, entry) {
+            files[key] = { ...fingerprint(inputPath), entry }
+            fs.mkdirSync(path.dirname(file), { recursive: true })
+            const tempFile = `${file}.tmp`
+            fs.writeFileSync(tempFile, JSON.stringify({ files }, null, 2))
+            fs.renameSync(tempFile, file)
+        },
+    }
+}
+
+// Helper function to quote a CSV field when it needs it
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return ''
+    }
+    const text = String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Write the run report as JSON or, for a .csv path, as CSV
+export function writeReport(file, entries, summary) {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    if (path.extname(file).toLowerCase() === '.csv') {
+        const lines = [
+            REPORT_COLUMNS.join(','),
+            ...entries.map((entry) =>
+                REPORT_COLUMNS.map((column) => csvField(entry[column])).join(
+                    ','
+                )
+            ),
+        ]
+        fs.writeFileSync(file, `${lines.join('\n')}\n`)
+        return
+    }
+    fs.writeFileSync(
+        file,
+        `${JSON.stringify({ ...summary, files: entries }, null, 2)}\n`
+    )
+}
@@ -0,0 +1,191 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { createHash } from 'crypto'
+import sharp from 'sharp'
+
+function sha256(...parts) {
+    const hash = createHash('sha256')
+    for (const part of parts) {
+        hash.update(part)
+    }
+    return hash.digest('hex')
+}
+
+// Hash an image by content rather than by file bytes, so re-encoding or
+// renaming the same picture still hits the cache. Returns { pixels,
+// metadata }: a hash of the decoded pixels as displayed and a hash of the
+// colour profile, EXIF and format, which only matter when output keeps them.
+export async function hashImageContent(buffer) {
+    try {
+        const image = sharp(buffer)
+        const metadata = await image.metadata()
+        const { data, info } = await image
+            .rotate()
+            .raw()
+            .toBuffer({ resolveWithObject: true })
+        return {
+            pixels: sha256(
+                `${info.width}x${info.height}x${info.channels}:`,
+                data
+            ),
+            metadata: sha256(
+                `${metadata.format}:${metadata.orientation || 1}:`,
+                metadata.icc || '',
+                metadata.exif || ''
+            ),
+        }
+    } catch (error) {
+        // Inputs sharp cannot decode are keyed by their bytes
+        const hash = sha256(buffer)
+        return { pixels: hash, metadata: hash }
+    }
+}
+
+// Build a cache key from a content hash and the settings that shape a result
+export function buildCacheKey(parts) {
+    return sha256(JSON.stringify(parts))
+}
+
+// Content-addressed result cache.
+// Each entry is <dir>/<key>.json (the result) plus an optional <key>.bin
+// (e.g. the processed image). Entries expire after ttlMs and the least
+// recently used ones are evicted once the cache grows beyond maxBytes.
+// A ttlMs of 0 disables the cache.
+export function createResultCache({ dir, ttlMs, maxBytes, log = () => {} }) {
+    const enabled = ttlMs > 0 && maxBytes > 0
+    const index = new Map()
+    let totalBytes = 0
+
+    if (enabled && !fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true })
+    }
+
+    const recordFile = (key) => path.join(dir, `${key}.json`)
+    const dataFile = (key) => path.join(dir, `${key}.bin`)
+
+    function remove(key) {
+        const entry = index.get(key)
+        if (entry) {
+            totalBytes -= entry.size
+            index.delete(key)
+        }
+        fs.rmSync(recordFile(key), { force: true })
+        fs.rmSync(dataFile(key), { force: true })
+    }
+
+    function isExpired(entry, now = Date.now()) {
+        return now - entry.createdAt > ttlMs
+    }
+
+    // Drop expired entries, then the least recently used until under maxBytes
+    function prune() {
+        const now = Date.now()
+        for (const [key, entry] of index) {
+            if (isExpired(entry, now)) {
+                remove(key)
+            }
+        }
+        if (totalBytes <= maxBytes) {
+            return
+        }
+        const byAge = [...index.entries()].sort(
+            (a, b) => a[1].lastUsed - b[1].lastUsed
+        )
+        for (const [key] of byAge) {
+            if (totalBytes <= maxBytes) {
+                break
+            }
+            remove(key)
+            log(`Evicted cache entry ${key}`, 'debug')
+        }
+    }
+
+    // Rebuild the index from disk
+    if (enabled) {
+        for (const file of fs.readdirSync(dir)) {
+            if (!file.endsWith('.json')) {
+                continue
+            }
+            const key = path.basename(file, '.json')
+            try {
+                const record = JSON.parse(
+                    fs.readFileSync(recordFile(key), 'utf-8')
+                )
+                const size =
+                    fs.statSync(recordFile(key)).size +
+                    (record.hasData ? fs.statSync(dataFile(key)).size : 0)
+                index.set(key, {
+                    createdAt: record.createdAt,
+                    lastUsed: record.createdAt,
+                    size,
+                })
+                totalBytes += size
+            } catch (error) {
+                log(`Dropping unreadable cache entry ${key}`, 'warn')
+                remove(key)
+            }
+        }
+        prune()
+    }
+
+    function has(key) {
+        const entry = index.get(key)
+        return Boolean(entry && !isExpired(entry))
+    }
+
+    // Returns { result, data } for a live entry, otherwise null
+    function get(key) {
+        const entry = index.get(key)
+        if (!entry) {
+            return null
+        }
+        if (isExpired(entry)) {
+            remove(key)
+            return null
+        }
+        try {
+            const record = JSON.parse(fs.readFileSync(recordFile(key), 'utf-8'))
+            entry.lastUsed = Date.now()
+            return {
+                result: record.result,
+                data: record.hasData ? fs.readFileSync(dataFile(key)) : null,
+            }
+        } catch (error) {
+            log(`Failed to read cache entry ${key}: ${error.message}`, 'warn')
+            remove(key)
+            return null
+        }
+    }
+
+    function set(key, result, data = null) {
+        if (!enabled) {
+            return
+        }
+        remove(key)
+
+        const record = JSON.stringify({
+            createdAt: Date.now(),
+            hasData: Boolean(data),
+            result,
+        })
+        if (data) {
+            fs.writeFileSync(dataFile(key), data)
+        }
+        // Write the record last: it is what marks the entry as complete
+        const tempFile = `${recordFile(key)}.tmp`
+        fs.writeFileSync(tempFile, record)
+        fs.renameSync(tempFile, recordFile(key))
+
+        const size = Buffer.byteLength(record) + (data ? data.length : 0)
+        const now = Date.now()
+        index.set(key, { createdAt: now, lastUsed: now, size })
+        totalBytes += size
+        prune()
+    }
+
+    function stats() {
+        return { enabled, entries: index.size, bytes: totalBytes, maxBytes }
+    }
+
+    return { enabled, has, get, set, stats }
+}
@@ -0,0 +1,311 @@
+import * as http from 'http'
+import * as https from 'https'
+import * as dns from 'dns'
+import * as net from 'net'
+import * as path from 'path'
+import { sniffImageFormat } from './sniff.js'
+import { AppError } from './errors.js'
+
+const MAX_DOWNLOAD_BYTES =
+    Number(process.env.URL_DOWNLOAD_MAX_BYTES) || 20 * 1024 * 1024
+const MAX_REDIRECTS = Number(process.env.URL_DOWNLOAD_MAX_REDIRECTS ?? 3)
+const DOWNLOAD_TIMEOUT_MS = Number(process.env.URL_DOWNLOAD_TIMEOUT_MS) || 15000
+const MAX_CONCURRENT_DOWNLOADS =
+    Number(process.env.URL_DOWNLOAD_CONCURRENCY) || 4
+const ALLOW_PRIVATE_ADDRESSES =
+    process.env.URL_ALLOW_PRIVATE_ADDRESSES === 'true'
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const blockList = new net.BlockList()
+;[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'))
+;[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'))
+
+// Helper function to check if an address must not be contacted
+export function isBlockedAddress(address) {
+    if (ALLOW_PRIVATE_ADDRESSES) {
+        return false
+    }
+
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+    if (mapped) {
+        return blockList.check(mapped[1], 'ipv4')
+    }
+
+    const family = net.isIP(address)
+    if (family === 4) {
+        return blockList.check(address, 'ipv4')
+    }
+    if (family === 6) {
+        return blockList.check(address, 'ipv6')
+    }
+    return true
+}
+
+// DNS lookup used for every connection so the checked address is the one
+// actually dialled, which also defeats DNS rebinding between check and connect
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error)
+            return
+        }
+        const addresses = Array.isArray(address) ? address : [{ address }]
+        const blocked = addresses.find((entry) =>
+            isBlockedAddress(entry.address)
+        )
+        if (blocked) {
+            callback(
+                new AppError(
+                    'INVALID_INPUT',
+                    `Refusing to download from private address ${blocked.address} (${hostname})`
+                )
+            )
+            return
+        }
+        callback(null, address, family)
+    })
+}
+
+// Helper function to parse and check a URL before any request is made
+function parseImageUrl(rawUrl) {
+    let url
+    try {
+        url = new URL(rawUrl)
+    } catch (error) {
+        throw new AppError('INVALID_INPUT', `Invalid URL: ${rawUrl}`)
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new AppError(
+            'INVALID_INPUT',
+            `Unsupported URL protocol: ${url.protocol}`
+        )
+    }
+
+    // IP literals skip DNS, so check them here
+    const hostname = url.hostname.replace(/^\[|\]$/g, '')
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw new AppError(
+            'INVALID_INPUT',
+            `Refusing to download from private address ${hostname}`
+        )
+    }
+
+    return url
+}
+
+// Downloads in progress and the ones waiting for a free slot
+let activeDownloads = 0
+const waitingDownloads = []
+
+// Helper function to wait until fewer than MAX_CONCURRENT_DOWNLOADS run
+function acquireDownloadSlot() {
+    if (activeDownloads < MAX_CONCURRENT_DOWNLOADS) {
+        activeDownloads++
+        return Promise.resolve()
+    }
+    return new Promise((resolve) => waitingDownloads.push(resolve))
+}
+
+// Helper function to hand a finished download's slot to the next in line
+function releaseDownloadSlot() {
+    const next = waitingDownloads.shift()
+    if (next) {
+        next()
+    } else {
+        activeDownloads--
+    }
+}
+
+// Helper function to perform a single GET without following redirects.
+// The socket timeout catches stalled connections; signal ends the request
+// once the whole download is over its deadline.
+function requestOnce(url, maxBytes, signal) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http
+        const request = client.get(
+            url,
+            {
+                lookup: safeLookup,
+                timeout: DOWNLOAD_TIMEOUT_MS,
+                signal,
+                headers: {
+                    'User-Agent': 'watermark-removal/1.0',
+                    Accept: 'image/*',
+                },
+            },
+            (response) => {
+                const { statusCode, headers } = response
+
+                if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                    response.resume()
+                    resolve({ redirect: new URL(headers.location, url) })
+                    return
+                }
+
+                if (statusCode < 200 || statusCode >= 300) {
+                    response.resume()
+                    reject(
+                        new AppError(
+                            'DOWNLOAD_FAILED',
+                            `HTTP error! Status: ${statusCode}`
+                        )
+                    )
+                    return
+                }
+
+                if (Number(headers['content-length']) > maxBytes) {
+                    response.destroy()
+                    reject(
+                        new AppError(
+                            'FILE_TOO_LARGE',
+                            `Image exceeds the maximum download size of ${maxBytes} bytes`
+                        )
+                    )
+                    return
+                }
+
+                const chunks = []
+                let received = 0
+                response.on('data', (chunk) => {
+                    received += chunk.length
+                    if (received > maxBytes) {
+                        response.destroy(
+                            new AppError(
+                                'FILE_TOO_LARGE',
+                                `Image exceeds the maximum download size of ${maxBytes} bytes`
+                            )
+                        )
+                        return
+                    }
+                    chunks.push(chunk)
+                })
+                response.on('error', reject)
+                response.on('end', () =>
+                    resolve({
+                        buffer: Buffer.concat(chunks),
+                        contentType: headers['content-type'] || null,
+                    })
+                )
+            }
+        )
+
+        request.on('timeout', () =>
+            request.destroy(
+                new AppError(
+                    'DOWNLOAD_FAILED',
+                    `Download timed out after ${DOWNLOAD_TIMEOUT_MS}ms`
+                )
+            )
+        )
+        request.on('error', reject)
+    })
+}
+
+// Download an image from a public http(s) URL.
+// Follows a limited number of redirects, caps the size, refuses private and
+// loopback addresses, and names the file after the sniffed image format. At
+// most URL_DOWNLOAD_CONCURRENCY downloads run at once, and each must finish,
+// redirects included, within URL_DOWNLOAD_TIMEOUT_MS of starting.
+export async function downloadImage(
+    rawUrl,
+    { maxBytes = MAX_DOWNLOAD_BYTES, maxRedirects = MAX_REDIRECTS } = {}
+) {
+    const url = parseImageUrl(rawUrl)
+
+    await acquireDownloadSlot()
+    try {
+        return await fetchImage(url, { maxBytes, maxRedirects })
+    } finally {
+        releaseDownloadSlot()
+    }
+}
+
+// Helper function to download a checked URL, following redirects
+async function fetchImage(url, { maxBytes, maxRedirects }) {
+    const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)
+    let redirects = 0
+
+    while (true) {
+        // Connection errors such as unknown hosts are download failures
+        const response = await requestOnce(url, maxBytes, signal).catch(
+            (error) => {
+                if (error instanceof AppError) {
+                    throw error
+                }
+                if (signal.aborted) {
+                    throw new AppError(
+                        'DOWNLOAD_FAILED',
+                        `Download timed out after ${DOWNLOAD_TIMEOUT_MS}ms`,
+                        { cause: error }
+                    )
+                }
+                throw new AppError(
+                    'DOWNLOAD_FAILED',
+                    `Download failed: ${error.message}`,
+                    { cause: error }
+                )
+            }
+        )
+
+        if (response.redirect) {
+            redirects++
+            if (redirects > maxRedirects) {
+                throw new AppError(
+                    'DOWNLOAD_FAILED',
+                    `Too many redirects (maximum ${maxRedirects})`
+                )
+            }
+            url = parseImageUrl(response.redirect.href)
+            continue
+        }
+
+        // Trust the bytes rather than the Content-Type header or URL
+        const format = sniffImageFormat(response.buffer)
+        if (!format) {
+            throw new AppError(
+                'UNSUPPORTED_FORMAT',
+                `URL did not return a supported image (Content-Type: ${response.contentType})`
+            )
+        }
+
+        let baseName = 'image'
+        try {
+            const urlBaseName = path.posix.basename(
+                decodeURIComponent(url.pathname)
+            )
+            baseName =
+                path.posix.basename(urlBaseName, path.extname(urlBaseName)) ||
+                baseName
+        } catch (error) {
+            // Malformed percent-encoding, keep the default name
+        }
+
+        return {
+            buffer: response.buffer,
+            filename: `${baseName}${format}`,
+            contentType: response.contentType,
+            url: url.href,
+        }
+    }
+}
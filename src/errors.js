@@ -0,0 +1,63 @@
+// Error codes sent in the `code` field of failed responses, with the HTTP
+// status each is answered with. Codes are stable for clients to branch on;
+// messages are for people and may change.
+export const ERROR_STATUS = {
+    INVALID_INPUT: 400,
+    INVALID_IMAGE: 400,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    FILE_TOO_LARGE: 413,
+    IMAGE_TOO_LARGE: 413,
+    REQUEST_TOO_LARGE: 413,
+    UNSUPPORTED_FORMAT: 415,
+    ANIMATED_IMAGE: 415,
+    CONTENT_BLOCKED: 422,
+    RATE_LIMITED: 429,
+    QUOTA_EXCEEDED: 429,
+    INTERNAL: 500,
+    REMOVAL_FAILED: 500,
+    DOWNLOAD_FAILED: 502,
+    UPSTREAM_ERROR: 502,
+    UPSTREAM_RATE_LIMITED: 503,
+}
+
+// Messages for errors whose details must not reach clients
+const GENERIC_MESSAGES = {
+    INTERNAL: 'Internal server error',
+    REMOVAL_FAILED: 'Watermark removal failed. Please try again.',
+    DOWNLOAD_FAILED: 'The image could not be downloaded.',
+    UPSTREAM_ERROR: 'The AI provider could not process the image.',
+    UPSTREAM_RATE_LIMITED:
+        'The AI provider is busy. Please try again in a few minutes.',
+}
+
+// Error whose message is safe to show to clients. The status defaults to the
+// code's entry in ERROR_STATUS; cause keeps the underlying error for logs.
+export class AppError extends Error {
+    constructor(
+        code,
+        message = GENERIC_MESSAGES[code],
+        { status, cause } = {}
+    ) {
+        super(message, cause ? { cause } : undefined)
+        this.name = 'AppError'
+        this.code = code
+        this.status = status || ERROR_STATUS[code] || 500
+    }
+}
+
+// Turn any error into an AppError. AppErrors are returned as they are;
+// anything else gets `code` and that code's generic message, so internal and
+// upstream details stay in the logs.
+export function toAppError(error, code = 'INTERNAL') {
+    if (error instanceof AppError) {
+        return error
+    }
+    return new AppError(code, undefined, { cause: error })
+}
+
+// Body of a failed response
+export function errorBody(error) {
+    return { success: false, error: error.message, code: error.code }
+}
@@ -0,0 +1,180 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import sharp from 'sharp'
+
+const MB = 1024 * 1024
+
+// 2x2 red PNG decoded by the image check
+const TEST_IMAGE = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAIAAAACCAIAAAD91JpzAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAE0lEQVR4nGP4z8DwnwGM/zMwAAAf7gP9NRsAMwAAAABJRU5ErkJggg==',
+    'base64'
+)
+
+// Read readiness limits from the environment; 0 turns a limit off
+export function getReadinessConfig(env = process.env) {
+    const number = (value, fallback) =>
+        value === undefined || value === '' || isNaN(Number(value))
+            ? fallback
+            : Number(value)
+
+    return {
+        maxQueued: number(env.READY_MAX_QUEUED, 100),
+        minFreeBytes: number(env.READY_MIN_FREE_MB, 100) * MB,
+        timeoutMs: number(env.READY_CHECK_TIMEOUT_MS, 5000),
+    }
+}
+
+// Helper function to fail a check that takes longer than timeoutMs
+function withTimeout(promise, timeoutMs) {
+    if (!timeoutMs) {
+        return promise
+    }
+    let timer
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(
+                () => reject(new Error(`Timed out after ${timeoutMs}ms`)),
+                timeoutMs
+            )
+        }),
+    ]).finally(() => clearTimeout(timer))
+}
+
+// Helper function to prove a directory is writable by creating and removing
+// a probe file in it
+async function checkWritable(dir) {
+    const probe = path.join(dir, `.ready_${process.pid}_${Date.now()}`)
+    await fs.promises.writeFile(probe, 'ok')
+    await fs.promises.rm(probe, { force: true })
+    return { ok: true, path: dir }
+}
+
+// Helper function to report the free space on the disk holding a directory
+async function checkFreeSpace(dir, minFreeBytes) {
+    const stats = await fs.promises.statfs(dir)
+    const freeBytes = stats.bavail * stats.bsize
+    return {
+        ok: !minFreeBytes || freeBytes >= minFreeBytes,
+        path: dir,
+        freeBytes,
+        minFreeBytes,
+    }
+}
+
+// Readiness checks for container orchestrators.
+// check() runs every check and resolves to { ready, checks }, where each
+// check is { ok, ... } with an error message when it failed. Nothing is
+// cached, so each call reflects the current state of the disk and queue.
+export function createReadinessChecks({
+    directories,
+    provider,
+    queueStats,
+    maxQueued,
+    minFreeBytes,
+    timeoutMs,
+}) {
+    const checks = {
+        directories: async () => {
+            const results = {}
+            for (const { name, dir } of directories) {
+                try {
+                    results[name] = await checkWritable(dir)
+                } catch (error) {
+                    results[name] = {
+                        ok: false,
+                        path: dir,
+                        error: error.message,
+                    }
+                }
+            }
+            return {
+                ok: Object.values(results).every((result) => result.ok),
+                directories: results,
+            }
+        },
+
+        imageDecoder: async () => {
+            const { info } = await sharp(TEST_IMAGE)
+                .raw()
+                .toBuffer({ resolveWithObject: true })
+            return {
+                ok: info.width === 2 && info.height === 2,
+                sharp: sharp.versions.sharp,
+                vips: sharp.versions.vips,
+            }
+        },
+
+        provider: async () => {
+            const { env, configured } = provider.credentials || {}
+            return {
+                ok: Boolean(configured),
+                name: provider.name,
+                ...(env ? { credentials: env } : {}),
+                ...(configured ? {} : { error: `${env} is not set` }),
+            }
+        },
+
+        queue: async () => {
+            const { queued, active, concurrency } = queueStats()
+            return {
+                ok: !maxQueued || queued <= maxQueued,
+                queued,
+                active,
+                concurrency,
+                maxQueued,
+            }
+        },
+
+        disk: async () => {
+            // Directories on the same disk are only reported once
+            const seen = new Set()
+            const results = {}
+            for (const { name, dir } of directories) {
+                try {
+                    const result = await checkFreeSpace(dir, minFreeBytes)
+                    const device = `${(await fs.promises.stat(dir)).dev}`
+                    if (!seen.has(device)) {
+                        seen.add(device)
+                        results[name] = result
+                    }
+                } catch (error) {
+                    results[name] = {
+                        ok: false,
+                        path: dir,
+                        error: error.message,
+                    }
+                }
+            }
+            return {
+                ok: Object.values(results).every((result) => result.ok),
+                disks: results,
+            }
+        },
+    }
+
+    async function check() {
+        const results = {}
+        await Promise.all(
+            Object.entries(checks).map(async ([name, run]) => {
+                try {
+                    results[name] = await withTimeout(run(), timeoutMs)
+                } catch (error) {
+                    results[name] = { ok: false, error: error.message }
+                }
+            })
+        )
+
+        // Report checks in a stable order whatever order they finished in
+        const ordered = {}
+        for (const name of Object.keys(checks)) {
+            ordered[name] = results[name]
+        }
+        return {
+            ready: Object.values(ordered).every((result) => result.ok),
+            checks: ordered,
+        }
+    }
+
+    return { check }
+}
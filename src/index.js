@@ -0,0 +1,191 @@
+import { fileURLToPath } from 'url'
+import { createProvider, getProviderNames } from './providers/index.js'
+import { createPipeline, isValidImageType } from './pipeline.js'
+import { getQualityConfig } from './quality.js'
+import { getTilingConfig } from './tiles.js'
+import { parseOutputOptions } from './output.js'
+import { sniffImageFormat } from './sniff.js'
+import {
+    composeRemovalPrompt,
+    createPromptPresets,
+    parsePromptHint,
+    REMOVAL_MODES,
+} from './prompts.js'
+import { createFileStorage } from './storage.js'
+import { AppError, ERROR_STATUS } from './errors.js'
+
+export {
+    createProvider,
+    getProviderNames,
+    createFileStorage,
+    AppError,
+    ERROR_STATUS,
+}
+
+const LOG_METHODS = ['debug', 'info', 'warn', 'error']
+
+// Helper function to accept either a log(message, level, fields) function or
+// a logger object with debug/info/warn/error(message, fields) methods
+function toLogFunction(logger) {
+    if (!logger) {
+        return () => {}
+    }
+    if (typeof logger === 'function') {
+        return logger
+    }
+    return (message, type = 'info', fields = {}) => {
+        const method = LOG_METHODS.includes(type) ? type : 'info'
+        if (typeof logger[method] === 'function') {
+            logger[method](message, fields)
+        }
+    }
+}
+
+// Helper function to name an image for the pipeline, which picks the
+// conversion from the extension. Without a filename the format is sniffed.
+function resolveFilename(buffer, filename) {
+    const name = filename || `image${sniffImageFormat(buffer) || ''}`
+    if (!isValidImageType(name)) {
+        throw new AppError(
+            'UNSUPPORTED_FORMAT',
+            'Invalid file type. Supported formats: PNG, JPG, JPEG, WebP, SVG, GIF, TIFF, AVIF'
+        )
+    }
+    return name
+}
+
+// Watermark detection and removal without the HTTP server.
+// Every dependency is optional and defaults to what the server would use:
+// - provider: a provider object (see src/providers) or a provider name
+// - logger: log(message, level, fields), or an object with debug, info,
+//   warn and error methods
+// - storage: where removeWatermark stores processed images, such as
+//   createFileStorage(dir); nothing is stored without one
+// - promptPresets: presets from createPromptPresets, loaded from prompts/
+//   (or PROMPTS_DIR) on first use otherwise
+// - qualityConfig, tilingConfig and metrics, as in src/pipeline.js
+export function createWatermarkRemover({
+    provider = createProvider(),
+    logger = null,
+    storage = null,
+    promptPresets = null,
+    qualityConfig = getQualityConfig(),
+    tilingConfig = getTilingConfig(),
+    metrics = {},
+} = {}) {
+    const log = toLogFunction(logger)
+    const resolvedProvider =
+        typeof provider === 'string' ? createProvider(provider) : provider
+    const pipeline = createPipeline({
+        provider: resolvedProvider,
+        qualityConfig,
+        tilingConfig,
+        metrics,
+        log,
+    })
+
+    let presets = promptPresets
+    const getPresets = () => {
+        if (!presets) {
+            presets = createPromptPresets({
+                dir:
+                    process.env.PROMPTS_DIR ||
+                    fileURLToPath(new URL('../prompts', import.meta.url)),
+                defaultPreset: process.env.PROMPT_PRESET || 'generic',
+                log,
+            })
+        }
+        return presets
+    }
+
+    // Resolves to the detection result: hasWatermark (null when the answer
+    // could not be read, with parseError set), explanation and, when the
+    // model reports them, watermarkType, location and confidence
+    async function detectWatermark(buffer, { filename } = {}) {
+        return pipeline.detect(buffer, resolveFilename(buffer, filename))
+    }
+
+    // Resolves to the removal result the API returns, with the image as a
+    // buffer: { success, image, mimeType, filename, hasWatermark,
+    // watermarkRemoved, text, mode, quality, ... }, plus the storageLocation
+    // returned by storage.put when a storage is set. Options:
+    // - filename: the input's name; its extension selects the conversion
+    // - mode, preset, hint, tiling and output, as for the API
+    // - prompt: the full removal prompt, replacing preset, hint and mode's
+    // - region: { mask, boxes, feather } with the mask as an image buffer
+    // - progress: called with job-style progress updates
+    // - storagePrefix: prepended to the stored image's name
+    async function removeWatermark(
+        buffer,
+        {
+            filename,
+            mode = process.env.REMOVAL_MODE || 'standard',
+            preset,
+            hint,
+            prompt,
+            tiling = tilingConfig.mode,
+            region = null,
+            output = {},
+            progress,
+            storagePrefix = '',
+        } = {}
+    ) {
+        if (!REMOVAL_MODES[mode]) {
+            throw new AppError(
+                'INVALID_INPUT',
+                `Invalid mode. Supported modes: ${Object.keys(
+                    REMOVAL_MODES
+                ).join(', ')}`
+            )
+        }
+        if (!['auto', 'on', 'off'].includes(tiling)) {
+            throw new AppError(
+                'INVALID_INPUT',
+                'Invalid tiling option. Supported values: auto, on, off'
+            )
+        }
+
+        const name = resolveFilename(buffer, filename)
+        const removal = await pipeline.remove(buffer, name, {
+            prompt:
+                prompt ||
+                composeRemovalPrompt(getPresets().resolve(preset).prompt, {
+                    mode,
+                    hint: parsePromptHint(hint),
+                }),
+            mode,
+            tiling,
+            region,
+            output: parseOutputOptions(output),
+            progress,
+        })
+
+        const result = {
+            ...removal.result,
+            image: removal.buffer,
+            filename: removal.filename,
+        }
+        if (storage) {
+            result.storageLocation = await storage.put(
+                `${storagePrefix}${removal.filename}`,
+                removal.buffer,
+                { mimeType: result.mimeType }
+            )
+        }
+        return result
+    }
+
+    return { provider: resolvedProvider, detectWatermark, removeWatermark }
+}
+
+// Detect a watermark in one image. Options are those of
+// createWatermarkRemover and its detectWatermark.
+export async function detectWatermark(buffer, options = {}) {
+    return createWatermarkRemover(options).detectWatermark(buffer, options)
+}
+
+// Remove the watermark from one image. Options are those of
+// createWatermarkRemover and its removeWatermark.
+export async function removeWatermark(buffer, options = {}) {
+    return createWatermarkRemover(options).removeWatermark(buffer, options)
+}
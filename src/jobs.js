@@ -0,0 +1,225 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { randomUUID } from 'crypto'
+import { EventEmitter } from 'events'
+
+export const JOB_STATES = ['queued', 'running', 'retrying', 'done', 'failed']
+
+const FINISHED_STATES = ['done', 'failed']
+
+// Persistent job queue with bounded concurrency.
+// Each job is stored as <dir>/<id>.json so queued and interrupted jobs can be
+// picked up again after a restart. The handler receives the job payload, a
+// progress(changes) function that merges changes into the job record and the
+// job id. When it throws, the job fails with the error's message and code
+// (as errorCode).
+export function createJobQueue({
+    dir,
+    handler,
+    concurrency = 1,
+    log = () => {},
+}) {
+    const jobs = new Map()
+    const pending = []
+    const events = new EventEmitter()
+    let active = 0
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true })
+    }
+
+    function persist(job) {
+        // Write to a temporary file first so a crash never leaves half a record
+        const file = path.join(dir, `${job.id}.json`)
+        const tempFile = `${file}.tmp`
+        fs.writeFileSync(tempFile, JSON.stringify(job, null, 2))
+        fs.renameSync(tempFile, file)
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() })
+        persist(job)
+        events.emit('update', job)
+    }
+
+    async function run(job) {
+        update(job, { state: 'running', startedAt: new Date().toISOString() })
+        try {
+            const result = await handler(
+                job.payload,
+                (changes) => update(job, changes),
+                job.id
+            )
+            update(job, {
+                state: 'done',
+                result,
+                completedAt: new Date().toISOString(),
+            })
+            log(`Job ${job.id} completed`, 'info', { jobId: job.id })
+        } catch (error) {
+            update(job, {
+                state: 'failed',
+                error: error.message,
+                errorCode: error.code || null,
+                completedAt: new Date().toISOString(),
+            })
+            log(`Job ${job.id} failed: ${error.message}`, 'error', {
+                jobId: job.id,
+            })
+        }
+    }
+
+    function drain() {
+        while (active < concurrency && pending.length > 0) {
+            const job = pending.shift()
+            active++
+            run(job).finally(() => {
+                active--
+                drain()
+            })
+        }
+    }
+
+    // Load persisted jobs and requeue any that had not finished
+    function start() {
+        const restored = []
+        for (const file of fs.readdirSync(dir)) {
+            if (!file.endsWith('.json')) {
+                continue
+            }
+            try {
+                const job = JSON.parse(
+                    fs.readFileSync(path.join(dir, file), 'utf-8')
+                )
+                jobs.set(job.id, job)
+                if (!FINISHED_STATES.includes(job.state)) {
+                    restored.push(job)
+                }
+            } catch (error) {
+                log(
+                    `Failed to load job file ${file}: ${error.message}`,
+                    'error'
+                )
+            }
+        }
+
+        restored.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        for (const job of restored) {
+            update(job, { state: 'queued' })
+            pending.push(job)
+        }
+        if (restored.length > 0) {
+            log(`Requeued ${restored.length} unfinished job(s) from ${dir}`)
+        }
+        drain()
+    }
+
+    function enqueue(payload) {
+        const now = new Date().toISOString()
+        const job = {
+            id: randomUUID(),
+            state: 'queued',
+            attempts: 0,
+            payload,
+            createdAt: now,
+            updatedAt: now,
+        }
+        jobs.set(job.id, job)
+        persist(job)
+        pending.push(job)
+        drain()
+        return job
+    }
+
+    function get(id) {
+        return jobs.get(id) || null
+    }
+
+    // Resolve with the job once it reaches done or failed
+    function waitFor(id) {
+        return new Promise((resolve, reject) => {
+            const job = jobs.get(id)
+            if (!job) {
+                reject(new Error(`Job ${id} not found`))
+                return
+            }
+            if (FINISHED_STATES.includes(job.state)) {
+                resolve(job)
+                return
+            }
+            const onUpdate = (updated) => {
+                if (
+                    updated.id === id &&
+                    FINISHED_STATES.includes(updated.state)
+                ) {
+                    events.off('update', onUpdate)
+                    resolve(updated)
+                }
+            }
+            events.on('update', onUpdate)
+        })
+    }
+
+    // Return the first job matching predicate(job), or null
+    function find(predicate) {
+        for (const job of jobs.values()) {
+            if (predicate(job)) {
+                return job
+            }
+        }
+        return null
+    }
+
+    // Jobs that have not reached done or failed yet
+    function unfinished() {
+        return [...jobs.values()].filter(
+            (job) => !FINISHED_STATES.includes(job.state)
+        )
+    }
+
+    // Forget done and failed jobs that finished more than maxAgeMs ago and
+    // delete their records. Returns what was deleted like a retention sweep.
+    function prune(maxAgeMs) {
+        let deleted = 0
+        let freedBytes = 0
+        if (!(maxAgeMs > 0)) {
+            return { deleted, freedBytes }
+        }
+
+        const now = Date.now()
+        for (const job of [...jobs.values()]) {
+            if (
+                !FINISHED_STATES.includes(job.state) ||
+                now - Date.parse(job.completedAt || job.updatedAt) <= maxAgeMs
+            ) {
+                continue
+            }
+            const file = path.join(dir, `${job.id}.json`)
+            try {
+                freedBytes += fs.statSync(file).size
+                fs.rmSync(file, { force: true })
+            } catch (error) {
+                // The record is already gone
+            }
+            jobs.delete(job.id)
+            deleted++
+        }
+        return { deleted, freedBytes }
+    }
+
+    function stats() {
+        return { queued: pending.length, active, total: jobs.size, concurrency }
+    }
+
+    return {
+        start,
+        enqueue,
+        get,
+        find,
+        waitFor,
+        unfinished,
+        prune,
+        stats,
+        events,
+    }
+}
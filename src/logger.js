@@ -0,0 +1,170 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { AsyncLocalStorage } from 'async_hooks'
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+// Long base64 runs (optionally as data: URIs) are image data, never worth logging
+const BASE64_RUN = /(?:data:[\w/+.-]+;base64,)?[A-Za-z0-9+/]{200,}={0,2}/g
+const MAX_DEPTH = 8
+
+// Replace base64 image data and binary buffers in a value about to be logged
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value.replace(
+            BASE64_RUN,
+            (match) => `[base64 redacted, ${match.length} chars]`
+        )
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[binary redacted, ${value.length} bytes]`
+    }
+    if (value instanceof Error) {
+        return redact(value.message, depth)
+    }
+    if (value && typeof value === 'object') {
+        if (depth >= MAX_DEPTH) {
+            return '[truncated]'
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => redact(item, depth + 1))
+        }
+        const redacted = {}
+        for (const [key, item] of Object.entries(value)) {
+            redacted[key] = redact(item, depth + 1)
+        }
+        return redacted
+    }
+    return value
+}
+
+// Structured logger writing JSON lines to <dir>/<YYYY-MM-DD>.log.
+// Entries below `level` are dropped before they are formatted. Lines are
+// buffered and appended asynchronously every flushIntervalMs (or once the
+// buffer reaches maxBufferBytes, or right away for errors), and each entry
+// goes to the file for its UTC date, so files rotate daily.
+// runWithContext(fields, fn) attaches fields such as requestId to every
+// entry logged while fn runs, including from async work it starts;
+// detached(fn) runs fn without them.
+export function createLogger({
+    dir,
+    level = 'info',
+    flushIntervalMs = 1000,
+    maxBufferBytes = 64 * 1024,
+    console: writeConsole = true,
+}) {
+    const minLevel = LOG_LEVELS.indexOf(level)
+    const context = new AsyncLocalStorage()
+    let buffer = []
+    let bufferBytes = 0
+    let writing = Promise.resolve()
+
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true })
+    }
+
+    // Helper function to group buffered lines by log file
+    function takeBuffer() {
+        const files = new Map()
+        for (const { date, line } of buffer) {
+            const file = path.join(dir, `${date}.log`)
+            files.set(file, (files.get(file) || '') + line)
+        }
+        buffer = []
+        bufferBytes = 0
+        return files
+    }
+
+    // Write buffered lines in the background. Resolves once they are written.
+    function flush() {
+        if (buffer.length === 0) {
+            return writing
+        }
+        const files = takeBuffer()
+        writing = writing
+            .then(async () => {
+                await fs.promises.mkdir(dir, { recursive: true })
+                for (const [file, text] of files) {
+                    await fs.promises.appendFile(file, text)
+                }
+            })
+            .catch((error) => {
+                console.error(`Failed to write log file: ${error.message}`)
+            })
+        return writing
+    }
+
+    // Write buffered lines before the process exits
+    function flushSync() {
+        if (buffer.length === 0) {
+            return
+        }
+        try {
+            fs.mkdirSync(dir, { recursive: true })
+            for (const [file, text] of takeBuffer()) {
+                fs.appendFileSync(file, text)
+            }
+        } catch (error) {
+            console.error(`Failed to write log file: ${error.message}`)
+        }
+    }
+
+    const timer = setInterval(flush, flushIntervalMs)
+    timer.unref()
+    process.on('exit', flushSync)
+
+    // Log a message at a level (debug, info, warn or error; anything else
+    // counts as info) with optional extra fields
+    function log(message, type = 'info', fields = {}) {
+        const levelIndex = LOG_LEVELS.includes(type)
+            ? LOG_LEVELS.indexOf(type)
+            : LOG_LEVELS.indexOf('info')
+        if (levelIndex < minLevel) {
+            return
+        }
+
+        const time = new Date().toISOString()
+        const entry = {
+            time,
+            level: LOG_LEVELS[levelIndex],
+            msg: redact(String(message)),
+            ...context.getStore(),
+            ...redact(fields),
+        }
+
+        if (writeConsole) {
+            const requestId = entry.requestId ? ` [${entry.requestId}]` : ''
+            const extra =
+                Object.keys(fields).length > 0
+                    ? ` ${JSON.stringify(redact(fields))}`
+                    : ''
+            console.log(
+                `[${time}] [${entry.level.toUpperCase()}]${requestId} ${entry.msg}${extra}`
+            )
+        }
+
+        const line = `${JSON.stringify(entry)}\n`
+        buffer.push({ date: time.split('T')[0], line })
+        bufferBytes += line.length
+        if (bufferBytes >= maxBufferBytes || entry.level === 'error') {
+            flush()
+        }
+    }
+
+    function runWithContext(fields, fn) {
+        return context.run({ ...context.getStore(), ...fields }, fn)
+    }
+
+    function getContext() {
+        return context.getStore() || {}
+    }
+
+    // Run fn, and any async work it starts, without the current context.
+    // An empty store rather than context.exit(), whose async continuations
+    // can pick the outer context up again.
+    function detached(fn) {
+        return context.run({}, fn)
+    }
+
+    return { log, runWithContext, getContext, detached, flush, flushSync }
+}
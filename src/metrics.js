@@ -0,0 +1,158 @@
+// Default histogram buckets in seconds, from fast requests to slow model calls
+export const DEFAULT_BUCKETS = [
+    0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120,
+]
+
+// Helper function to escape a label value for the text exposition format
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+}
+
+// Helper function to format a label set as {name="value",...}
+function formatLabels(labels) {
+    const entries = Object.entries(labels)
+    if (entries.length === 0) {
+        return ''
+    }
+    return `{${entries
+        .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+        .join(',')}}`
+}
+
+// Helper function to key a series by its label values, in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')))
+}
+
+// Helper function to pick the declared labels, so stray ones never add series
+function pickLabels(labelNames, labels) {
+    const picked = {}
+    for (const name of labelNames) {
+        picked[name] = labels[name] ?? ''
+    }
+    return picked
+}
+
+// Minimal Prometheus metrics registry.
+// counter() and histogram() return metrics updated in process; gauge() takes
+// a collect() function returning [{ labels, value }] read at scrape time.
+// render() returns every metric in the Prometheus text format.
+export function createMetricsRegistry({ prefix = '' } = {}) {
+    const metrics = []
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map()
+        // Counters without labels are reported as 0 before their first inc()
+        if (labelNames.length === 0) {
+            series.set(seriesKey(labelNames, {}), { labels: {}, value: 0 })
+        }
+        metrics.push({
+            name: prefix + name,
+            help,
+            type: 'counter',
+            render: (fullName) =>
+                [...series.values()].map(
+                    ({ labels, value }) =>
+                        `${fullName}${formatLabels(labels)} ${value}`
+                ),
+        })
+
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = seriesKey(labelNames, labels)
+                const entry = series.get(key) || {
+                    labels: pickLabels(labelNames, labels),
+                    value: 0,
+                }
+                entry.value += amount
+                series.set(key, entry)
+            },
+        }
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map()
+        metrics.push({
+            name: prefix + name,
+            help,
+            type: 'histogram',
+            render: (fullName) =>
+                [...series.values()].flatMap(
+                    ({ labels, counts, sum, count }) => [
+                        ...buckets.map(
+                            (bound, index) =>
+                                `${fullName}_bucket${formatLabels({
+                                    ...labels,
+                                    le: bound,
+                                })} ${counts[index]}`
+                        ),
+                        `${fullName}_bucket${formatLabels({
+                            ...labels,
+                            le: '+Inf',
+                        })} ${count}`,
+                        `${fullName}_sum${formatLabels(labels)} ${sum}`,
+                        `${fullName}_count${formatLabels(labels)} ${count}`,
+                    ]
+                ),
+        })
+
+        function observe(labels, value) {
+            const key = seriesKey(labelNames, labels)
+            const entry = series.get(key) || {
+                labels: pickLabels(labelNames, labels),
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0,
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index]++
+                }
+            })
+            entry.sum += value
+            entry.count++
+            series.set(key, entry)
+        }
+
+        return {
+            observe,
+            // Start timing; the returned function records the elapsed seconds
+            startTimer(labels = {}) {
+                const startedAt = process.hrtime.bigint()
+                return () =>
+                    observe(
+                        labels,
+                        Number(process.hrtime.bigint() - startedAt) / 1e9
+                    )
+            },
+        }
+    }
+
+    function gauge(name, help, collect) {
+        metrics.push({
+            name: prefix + name,
+            help,
+            type: 'gauge',
+            render: (fullName) =>
+                collect().map(
+                    ({ labels = {}, value }) =>
+                        `${fullName}${formatLabels(labels)} ${value}`
+                ),
+        })
+    }
+
+    function render() {
+        const lines = []
+        for (const metric of metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`)
+            lines.push(`# TYPE ${metric.name} ${metric.type}`)
+            lines.push(...metric.render(metric.name))
+        }
+        return `${lines.join('\n')}\n`
+    }
+
+    return { counter, histogram, gauge, render }
+}
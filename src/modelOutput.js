@@ -0,0 +1,148 @@
+export const WATERMARK_TYPES = [
+    'text',
+    'logo',
+    'pattern',
+    'signature',
+    'stamp',
+    'other',
+    'none',
+]
+
+// Fields the model may report about a watermark. Anything else in its JSON is
+// dropped so unexpected keys never reach API clients.
+const WATERMARK_FIELDS = {
+    hasWatermark: { type: 'boolean', required: true },
+    explanation: { type: 'string' },
+    watermarkType: { type: 'enum', values: WATERMARK_TYPES },
+    location: { type: 'string' },
+    confidence: { type: 'confidence' },
+}
+
+export const DETECTION_SCHEMA = WATERMARK_FIELDS
+
+export const REMOVAL_SCHEMA = {
+    ...WATERMARK_FIELDS,
+    watermarkRemoved: { type: 'boolean' },
+}
+
+// Helper function to describe a schema as the JSON structure models are asked for
+export function describeSchema(schema) {
+    const lines = Object.entries(schema).map(([name, field]) => {
+        const type =
+            field.type === 'enum'
+                ? field.values.map((value) => `"${value}"`).join(' | ')
+                : field.type === 'confidence'
+                  ? 'number between 0 and 1'
+                  : field.type
+        return `    "${name}": ${type}`
+    })
+    return `{\n${lines.join(',\n')}\n}`
+}
+
+// Helper function to pull the JSON object out of a model answer, which may be
+// wrapped in a Markdown code fence or surrounded by prose
+function extractJson(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i)
+    const candidate = (fenced ? fenced[1] : text).trim()
+
+    try {
+        return JSON.parse(candidate)
+    } catch (error) {
+        const start = candidate.indexOf('{')
+        const end = candidate.lastIndexOf('}')
+        if (start === -1 || end <= start) {
+            throw new Error('No JSON object found in model output')
+        }
+        try {
+            return JSON.parse(candidate.slice(start, end + 1))
+        } catch (innerError) {
+            throw new Error(
+                `Invalid JSON in model output: ${innerError.message}`
+            )
+        }
+    }
+}
+
+// Helper function to coerce one field to its schema type
+function normalizeField(name, field, value) {
+    switch (field.type) {
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                return value
+            }
+            if (typeof value === 'string') {
+                const lower = value.trim().toLowerCase()
+                if (lower === 'true' || lower === 'yes') {
+                    return true
+                }
+                if (lower === 'false' || lower === 'no') {
+                    return false
+                }
+            }
+            throw new Error(`${name} must be a boolean`)
+        case 'string':
+            if (typeof value === 'string') {
+                return value.trim()
+            }
+            throw new Error(`${name} must be a string`)
+        case 'enum': {
+            const lower = String(value).trim().toLowerCase()
+            // Models invent their own labels; keep the answer but file it as other
+            return field.values.includes(lower) ? lower : 'other'
+        }
+        case 'confidence': {
+            let number = typeof value === 'string' ? parseFloat(value) : value
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                throw new Error(`${name} must be a number`)
+            }
+            // Accept percentages such as 85 or "85%"
+            if (number > 1 && number <= 100) {
+                number = number / 100
+            }
+            if (number < 0 || number > 1) {
+                throw new Error(`${name} must be between 0 and 1`)
+            }
+            return number
+        }
+        default:
+            throw new Error(`Unknown schema type for ${name}`)
+    }
+}
+
+// Parse and validate a model's text answer against a schema.
+// Returns { data, parseError }: data holds only the schema's fields (null on
+// failure) and parseError says why the answer could not be used.
+export function parseModelOutput(text, schema) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { data: null, parseError: 'Model returned no text' }
+    }
+
+    let raw
+    try {
+        raw = extractJson(text)
+    } catch (error) {
+        return { data: null, parseError: error.message }
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { data: null, parseError: 'Model output is not a JSON object' }
+    }
+
+    const data = {}
+    try {
+        for (const [name, field] of Object.entries(schema)) {
+            const value = raw[name]
+            if (value === undefined || value === null) {
+                if (field.required) {
+                    throw new Error(`Missing required field ${name}`)
+                }
+                continue
+            }
+            data[name] = normalizeField(name, field, value)
+        }
+    } catch (error) {
+        return { data: null, parseError: error.message }
+    }
+
+    return { data, parseError: null }
+}
@@ -0,0 +1,302 @@
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { randomBytes } from 'crypto'
+import sharp from 'sharp'
+import { sniffImageFormat } from './sniff.js'
+
+// Formats sharp can write, keyed by the format name sharp reports for an input
+export const OUTPUT_FORMATS = {
+    jpeg: { format: 'jpeg', mimeType: 'image/jpeg', extension: '.jpg' },
+    png: { format: 'png', mimeType: 'image/png', extension: '.png' },
+    webp: { format: 'webp', mimeType: 'image/webp', extension: '.webp' },
+    tiff: { format: 'tiff', mimeType: 'image/tiff', extension: '.tiff' },
+    gif: { format: 'gif', mimeType: 'image/gif', extension: '.gif' },
+    heif: { format: 'avif', mimeType: 'image/avif', extension: '.avif' },
+    avif: { format: 'avif', mimeType: 'image/avif', extension: '.avif' },
+}
+
+// Formats that take a quality setting
+const LOSSY_FORMATS = ['jpeg', 'webp', 'avif', 'tiff']
+
+// Names clients may pass as `format`
+const FORMAT_ALIASES = {
+    jpg: 'jpeg',
+    jpeg: 'jpeg',
+    png: 'png',
+    webp: 'webp',
+    tiff: 'tiff',
+    tif: 'tiff',
+    gif: 'gif',
+    avif: 'avif',
+}
+
+// MIME types for inputs returned untouched, by sniffed extension
+const SOURCE_MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp',
+    '.tiff': 'image/tiff',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+}
+
+// Helper function to get the MIME type of an image from its contents
+export function sniffMimeType(buffer) {
+    const extension = sniffImageFormat(buffer)
+    return SOURCE_MIME_TYPES[extension] || 'application/octet-stream'
+}
+
+export const METADATA_MODES = ['none', 'icc', 'all']
+
+// EXIF IFD0 text tags carried over with metadata=all. Artist and Copyright
+// are deliberately left out.
+const EXIF_TEXT_TAGS = {
+    0x010e: 'ImageDescription',
+    0x010f: 'Make',
+    0x0110: 'Model',
+    0x0131: 'Software',
+    0x0132: 'DateTime',
+}
+
+// Steps that turn upright pixels back into the layout stored with each EXIF
+// orientation, i.e. the inverse of what .rotate() applies when reading
+const ORIENTATION_INVERSES = {
+    2: [['flop']],
+    3: [['rotate', 180]],
+    4: [['flip']],
+    5: [['flop'], ['rotate', 270]],
+    6: [['rotate', 270]],
+    7: [['flop'], ['rotate', 90]],
+    8: [['rotate', 90]],
+}
+
+const DEFAULT_METADATA = METADATA_MODES.includes(process.env.OUTPUT_METADATA)
+    ? process.env.OUTPUT_METADATA
+    : 'icc'
+
+// Validate output options from request fields: `format` (defaults to the
+// input's format), `quality` (1-100, lossy formats only) and `metadata`
+// (none, icc or all)
+export function parseOutputOptions(fields) {
+    let format = null
+    if (fields.format) {
+        format = FORMAT_ALIASES[String(fields.format).toLowerCase()]
+        if (!format) {
+            throw new Error(
+                `Invalid format. Supported formats: ${Object.keys(
+                    FORMAT_ALIASES
+                ).join(', ')}`
+            )
+        }
+    }
+
+    let quality = null
+    if (
+        fields.quality !== undefined &&
+        fields.quality !== null &&
+        fields.quality !== ''
+    ) {
+        quality = Number(fields.quality)
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            throw new Error('quality must be an integer between 1 and 100')
+        }
+    }
+
+    const metadata = fields.metadata || DEFAULT_METADATA
+    if (!METADATA_MODES.includes(metadata)) {
+        throw new Error(
+            `Invalid metadata option. Supported values: ${METADATA_MODES.join(
+                ', '
+            )}`
+        )
+    }
+
+    return { format, quality, metadata }
+}
+
+// Helper function to read the IFD0 text tags from a raw EXIF block
+function readExifTextTags(exif) {
+    const tags = {}
+    if (!exif || exif.length < 14) {
+        return tags
+    }
+
+    // The block sharp returns starts with "Exif\0\0" followed by a TIFF header
+    const start = exif.toString('latin1', 0, 4) === 'Exif' ? 6 : 0
+    const byteOrder = exif.toString('latin1', start, start + 2)
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        return tags
+    }
+    const little = byteOrder === 'II'
+    const readUInt16 = (offset) =>
+        little ? exif.readUInt16LE(offset) : exif.readUInt16BE(offset)
+    const readUInt32 = (offset) =>
+        little ? exif.readUInt32LE(offset) : exif.readUInt32BE(offset)
+
+    try {
+        const ifd = start + readUInt32(start + 4)
+        const count = readUInt16(ifd)
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12
+            const name = EXIF_TEXT_TAGS[readUInt16(entry)]
+            // Type 2 is a NUL-terminated ASCII string
+            if (!name || readUInt16(entry + 2) !== 2) {
+                continue
+            }
+            const length = readUInt32(entry + 4)
+            const offset =
+                length <= 4 ? entry + 8 : start + readUInt32(entry + 8)
+            const value = exif
+                .toString('latin1', offset, offset + length)
+                .replace(/\0+$/, '')
+                .trim()
+            if (value) {
+                tags[name] = value
+            }
+        }
+    } catch (error) {
+        // A truncated or corrupt EXIF block just means nothing is carried over
+    }
+    return tags
+}
+
+// Helper function to store pixels in the source's EXIF orientation
+async function restoreOrientation(buffer, orientation) {
+    let restored = buffer
+    for (const [operation, ...args] of ORIENTATION_INVERSES[orientation]) {
+        const image = sharp(restored)
+        restored = await image[operation](...args)
+            .png()
+            .toBuffer()
+    }
+    return restored
+}
+
+// Helper function to check whether an image carries metadata the given
+// metadata mode would not keep. Even metadata=all drops EXIF tags such as
+// Artist and Copyright, so any EXIF, XMP, IPTC or PNG text counts.
+function hasMetadataToDrop(source, metadata) {
+    if (source.exif || source.xmp || source.iptc || source.comments?.length) {
+        return true
+    }
+    return (
+        Boolean(source.icc) &&
+        (metadata === 'none' ||
+            source.icc.toString('latin1', 16, 20) !== 'RGB ')
+    )
+}
+
+// Encode a processed image for the response.
+// The result matches the source's displayed width and height and, unless a
+// format is requested, the source's format (PNG when sharp cannot write it).
+// metadata=icc embeds the source's RGB ICC profile; metadata=all also keeps
+// its EXIF orientation and descriptive EXIF tags. Pass lossless for results
+// whose unchanged pixels must stay exact: they default to PNG and skip the
+// colour profile conversion.
+export async function encodeOutput(
+    processedBuffer,
+    sourceBuffer,
+    { format = null, quality = null, metadata = DEFAULT_METADATA } = {},
+    { lossless = false } = {}
+) {
+    let source = {}
+    try {
+        source = await sharp(sourceBuffer).metadata()
+    } catch (error) {
+        // Sources sharp cannot decode fall back to PNG output
+    }
+
+    // Unprocessed images go back untouched unless another format was asked
+    // for or they carry metadata the requested mode drops (sources sharp
+    // cannot decode always go back untouched). Otherwise they are re-encoded
+    // upright like any processed result.
+    if (processedBuffer === sourceBuffer) {
+        if (
+            !source.format ||
+            ((!format || OUTPUT_FORMATS[source.format]?.format === format) &&
+                !hasMetadataToDrop(source, metadata))
+        ) {
+            const extension = sniffImageFormat(sourceBuffer) || '.png'
+            return {
+                buffer: sourceBuffer,
+                mimeType: SOURCE_MIME_TYPES[extension] || 'image/png',
+                extension,
+            }
+        }
+        processedBuffer = await sharp(sourceBuffer).rotate().png().toBuffer()
+    }
+
+    const output =
+        OUTPUT_FORMATS[format] ||
+        (lossless ? OUTPUT_FORMATS.png : OUTPUT_FORMATS[source.format]) ||
+        OUTPUT_FORMATS.png
+
+    let buffer = processedBuffer
+    const processed = await sharp(buffer).metadata()
+
+    // EXIF orientations 5-8 swap width and height once auto-rotated
+    if (source.width && source.height) {
+        const rotatedByExif = source.orientation >= 5
+        const width = rotatedByExif ? source.height : source.width
+        const height = rotatedByExif ? source.width : source.height
+        if (processed.width !== width || processed.height !== height) {
+            buffer = await sharp(buffer)
+                .resize(width, height, { fit: 'fill' })
+                .png()
+                .toBuffer()
+        }
+    }
+
+    const orientation =
+        metadata === 'all' && source.orientation > 1 ? source.orientation : null
+    if (orientation) {
+        buffer = await restoreOrientation(buffer, orientation)
+    }
+
+    let pipeline = sharp(buffer)
+    if (output.format === 'jpeg' && processed.hasAlpha) {
+        pipeline = pipeline.flatten({ background: { r: 255, g: 255, b: 255 } })
+    }
+
+    if (metadata === 'all') {
+        const tags = readExifTextTags(source.exif)
+        if (Object.keys(tags).length > 0) {
+            pipeline = pipeline.withExif({ IFD0: tags })
+        }
+    }
+    if (orientation) {
+        pipeline = pipeline.withMetadata({ orientation })
+    }
+
+    // sharp attaches profiles from a file, so stage the source's profile in
+    // a temporary one. CMYK and greyscale profiles do not fit RGB output.
+    let iccPath = null
+    if (
+        metadata !== 'none' &&
+        !lossless &&
+        source.icc &&
+        source.icc.toString('latin1', 16, 20) === 'RGB '
+    ) {
+        iccPath = path.join(
+            os.tmpdir(),
+            `icc_${randomBytes(6).toString('hex')}.icc`
+        )
+        fs.writeFileSync(iccPath, source.icc)
+        pipeline = pipeline.withIccProfile(iccPath)
+    }
+
+    try {
+        const options =
+            quality && LOSSY_FORMATS.includes(output.format) ? { quality } : {}
+        buffer = await pipeline.toFormat(output.format, options).toBuffer()
+    } finally {
+        if (iccPath) {
+            fs.rmSync(iccPath, { force: true })
+        }
+    }
+
+    return { buffer, mimeType: output.mimeType, extension: output.extension }
+}
@@ -0,0 +1,1023 @@
+import * as path from 'path'
+import sharp from 'sharp'
+import {
+    parseModelOutput,
+    DETECTION_SCHEMA,
+    REMOVAL_SCHEMA,
+} from './modelOutput.js'
+import { compareImages, evaluateQuality } from './quality.js'
+import { compositeRegion } from './region.js'
+import { blendTiles, splitIntoTiles } from './tiles.js'
+import { encodeOutput } from './output.js'
+import { DETECTION_PROMPT } from './prompts.js'
+import { AppError } from './errors.js'
+
+// Helper function to sanitize filenames
+export function sanitizeFilename(filename) {
+    // Remove the file extension first
+    const ext = path.extname(filename)
+    let baseName = path.basename(filename, ext)
+
+    // Replace any non-alphanumeric characters (except dashes and underscores) with dashes
+    baseName = baseName.replace(/[^a-zA-Z0-9-_]/g, '-')
+
+    // Remove multiple consecutive dashes
+    baseName = baseName.replace(/-+/g, '-')
+
+    // Remove leading and trailing dashes
+    baseName = baseName.replace(/^-+|-+$/g, '')
+
+    // Ensure the filename isn't empty and add timestamp for uniqueness
+    baseName = baseName || 'image'
+
+    return `${baseName}${ext}`
+}
+
+// Helper function to get MIME type from file extension
+export function getMimeType(filename) {
+    const ext = path.extname(filename).toLowerCase()
+    switch (ext) {
+        case '.png':
+            return 'image/png'
+        case '.jpg':
+        case '.jpeg':
+            return 'image/jpeg'
+        default:
+            return 'image/jpeg' // default fallback
+    }
+}
+
+// Helper function to validate file type
+export function isValidImageType(filename) {
+    const validTypes = [
+        '.png',
+        '.jpg',
+        '.jpeg',
+        '.webp',
+        '.svg',
+        '.gif',
+        '.tiff',
+        '.tif',
+        '.avif',
+    ]
+    return validTypes.includes(path.extname(filename).toLowerCase())
+}
+
+// Helper function to classify a provider error for metrics: 429 (rate
+// limited), 503 (overloaded) or other
+function providerErrorStatus(error) {
+    if (
+        error.message.includes('429') ||
+        error.message.includes('Too Many Requests')
+    ) {
+        return '429'
+    }
+    if (error.message.includes('503') || error.message.includes('overloaded')) {
+        return '503'
+    }
+    return 'other'
+}
+
+// Helper function to wrap a provider error for clients. Its message stays in
+// the logs and as the cause.
+function providerError(error, status = providerErrorStatus(error)) {
+    return new AppError(
+        status === 'other' ? 'UPSTREAM_ERROR' : 'UPSTREAM_RATE_LIMITED',
+        undefined,
+        { cause: error }
+    )
+}
+
+// Helper function to delay execution for a specified time
+async function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+// Stand-in for metrics the caller does not pass in
+const NO_METRIC = { inc() {}, observe() {}, startTimer: () => () => {} }
+
+// Watermark detection and removal pipeline around a provider. It works on
+// image buffers only: storing uploads and results, caching and job handling
+// are left to the caller. Metrics such as providerAttempts are updated when
+// passed in (see server.js for the full set). sleep waits between retries
+// and can be replaced, e.g. by a fake clock in tests.
+export function createPipeline({
+    provider,
+    qualityConfig,
+    tilingConfig,
+    metrics = {},
+    log = () => {},
+    sleep = delay,
+}) {
+    const {
+        providerAttempts = NO_METRIC,
+        providerRetries = NO_METRIC,
+        providerErrors = NO_METRIC,
+        providerFinishReasons = NO_METRIC,
+        stageDuration = NO_METRIC,
+        whiteRejections = NO_METRIC,
+        qualityFailures = NO_METRIC,
+        transparencyReapplications = NO_METRIC,
+        formatConversions = NO_METRIC,
+    } = metrics
+
+    // Helper function to convert image to JPEG/PNG while preserving transparency info
+    async function convertToSupportedFormat(imageBuffer, filename) {
+        const ext = path.extname(filename).toLowerCase()
+
+        try {
+            // Check if conversion is needed based on file extension
+            if (['.jpg', '.jpeg'].includes(ext)) {
+                return {
+                    buffer: imageBuffer,
+                    filename: filename,
+                    converted: false,
+                    hasTransparency: false,
+                    originalFormat: ext,
+                }
+            }
+
+            // For PNG, check if it has transparency
+            if (ext === '.png') {
+                const metadata = await sharp(imageBuffer).metadata()
+                const hasTransparency = metadata.hasAlpha || false
+
+                if (hasTransparency) {
+                    log(
+                        `PNG with transparency detected, preserving alpha information`,
+                        'info'
+                    )
+                    // For sending to Gemini, we need white background
+                    formatConversions.inc({ extension: ext })
+                    const processedBuffer = await sharp(imageBuffer)
+                        .flatten({ background: { r: 255, g: 255, b: 255 } })
+                        .png()
+                        .toBuffer()
+
+                    return {
+                        buffer: processedBuffer,
+                        filename: filename,
+                        converted: true,
+                        hasTransparency: true,
+                        originalBuffer: imageBuffer,
+                        originalFormat: ext,
+                    }
+                }
+
+                // No transparency, return original PNG
+                return {
+                    buffer: imageBuffer,
+                    filename: filename,
+                    converted: false,
+                    hasTransparency: false,
+                    originalFormat: ext,
+                }
+            }
+
+            // For other formats that might have transparency (WebP, SVG, GIF)
+            // First check if the format has transparency
+            const metadata = await sharp(imageBuffer).metadata()
+            const hasTransparency = metadata.hasAlpha || false
+            const originalBuffer = hasTransparency ? imageBuffer : null
+
+            // For all other formats, convert to PNG with white background for Gemini
+            log(
+                `Converting ${ext} image to png format with white background`,
+                'info'
+            )
+            formatConversions.inc({ extension: ext || 'none' })
+            const convertedBuffer = await sharp(imageBuffer)
+                .flatten({ background: { r: 255, g: 255, b: 255 } })
+                .png()
+                .toBuffer()
+
+            // Change the extension to .png
+            const baseFilename = path.basename(filename, ext)
+            const newFilename = `${baseFilename}.png`
+
+            return {
+                buffer: convertedBuffer,
+                filename: newFilename,
+                converted: true,
+                hasTransparency,
+                originalBuffer: hasTransparency ? imageBuffer : null,
+                originalFormat: ext,
+            }
+        } catch (error) {
+            log(`Error converting image: ${error.message}`, 'error')
+            throw new Error(`Failed to convert image: ${error.message}`)
+        }
+    }
+
+    // Helper function to reapply transparency to a processed image
+    async function reapplyTransparency(
+        processedImageBuffer,
+        originalImageBuffer,
+        originalFormat
+    ) {
+        try {
+            log('Reapplying transparency to processed image', 'info')
+
+            // Get dimensions of the processed image
+            const processedMetadata =
+                await sharp(processedImageBuffer).metadata()
+            const processedWidth = processedMetadata.width
+            const processedHeight = processedMetadata.height
+
+            // Get dimensions of the original image
+            const originalMetadata = await sharp(originalImageBuffer).metadata()
+            log(
+                `Original dimensions: ${originalMetadata.width}x${originalMetadata.height}, Processed dimensions: ${processedWidth}x${processedHeight}`,
+                'debug'
+            )
+
+            // Make sure the original image has an alpha channel
+            if (!originalMetadata.hasAlpha) {
+                log(
+                    'Original image does not have an alpha channel despite being marked as transparent',
+                    'warn'
+                )
+                return processedImageBuffer
+            }
+
+            // Check for significant dimension differences
+            const widthRatio = processedWidth / originalMetadata.width
+            const heightRatio = processedHeight / originalMetadata.height
+            const ratioDifference = Math.abs(widthRatio - heightRatio)
+
+            let alphaData
+
+            // Handle different cases based on dimension discrepancies
+            if (ratioDifference > 0.5) {
+                // Extreme aspect ratio difference
+                log(
+                    'Extreme aspect ratio difference detected, using composite approach',
+                    'warn'
+                )
+
+                // First resize the whole original image with transparency intact
+                const resizedOriginal = await sharp(originalImageBuffer)
+                    .resize(processedWidth, processedHeight, {
+                        fit: 'contain',
+                        background: { r: 0, g: 0, b: 0, alpha: 0 },
+                    })
+                    .toBuffer()
+
+                // Extract the alpha channel from this properly sized image
+                alphaData = await sharp(resizedOriginal)
+                    .extractChannel(3)
+                    .toBuffer()
+            } else if (ratioDifference > 0.2) {
+                // Significant but not extreme difference
+                log(
+                    'Significant aspect ratio difference detected, using "contain" fit strategy',
+                    'warn'
+                )
+
+                // Use contain strategy for better proportional fitting
+                alphaData = await sharp(originalImageBuffer)
+                    .extractChannel(3)
+                    .resize(processedWidth, processedHeight, {
+                        fit: 'contain',
+                        background: { r: 0, g: 0, b: 0, alpha: 0 },
+                    })
+                    .toBuffer()
+            } else {
+                // Similar enough aspect ratios
+                // Standard approach - just resize with fill
+                alphaData = await sharp(originalImageBuffer)
+                    .extractChannel(3)
+                    .resize(processedWidth, processedHeight, { fit: 'fill' })
+                    .toBuffer()
+            }
+
+            // Apply the resized alpha channel to the processed image
+            return await sharp(processedImageBuffer)
+                .ensureAlpha()
+                .joinChannel(alphaData)
+                .png() // Always output as PNG when preserving transparency
+                .toBuffer()
+        } catch (error) {
+            log(`Error reapplying transparency: ${error.message}`, 'error')
+            // If reapplying transparency fails, return the processed image without transparency
+            return processedImageBuffer
+        }
+    }
+
+    // Helper function to call the provider for an operation (detect or
+    // remove), retrying rate limit (429) and overload (503) errors with
+    // exponential backoff. Other errors are not retried.
+    async function callWithRetry(
+        operation,
+        call,
+        { maxRetries = 3, initialDelay = 30000, onProgress = () => {} } = {}
+    ) {
+        let retries = 0
+        const labels = { provider: provider.name, operation }
+        const name =
+            operation === 'detect' ? 'watermark detection' : 'watermark removal'
+
+        while (retries <= maxRetries) {
+            try {
+                providerAttempts.inc(labels)
+                onProgress('attempt', {
+                    attempt: retries + 1,
+                    maxAttempts: maxRetries + 1,
+                })
+                log(
+                    `Attempting ${name} (Attempt ${retries + 1}/${
+                        maxRetries + 1
+                    })`,
+                    'info'
+                )
+                return await call()
+            } catch (error) {
+                log(
+                    `Error in ${name} attempt ${retries + 1}: ${error.message}`,
+                    'error'
+                )
+                const status = providerErrorStatus(error)
+                providerErrors.inc({ ...labels, status })
+
+                // Check if it's a rate limit error (429) or service overload error (503)
+                if (status !== 'other') {
+                    // No point waiting once the last attempt has failed
+                    if (retries >= maxRetries) {
+                        log(
+                            `Max retries (${maxRetries}) reached for ${name}. Giving up.`,
+                            'error'
+                        )
+                        throw new AppError(
+                            'UPSTREAM_RATE_LIMITED',
+                            `Service error after ${maxRetries} retries. Please try again later.`,
+                            { cause: error }
+                        )
+                    }
+
+                    const waitTime = initialDelay * Math.pow(2, retries)
+                    log(
+                        `Service error (rate limit or overload). Waiting ${
+                            waitTime / 1000
+                        } seconds before retrying...`,
+                        'warn'
+                    )
+                    onProgress('backoff', {
+                        attempt: retries + 1,
+                        waitMs: waitTime,
+                    })
+                    await sleep(waitTime)
+                    retries++
+                    providerRetries.inc(labels)
+                } else {
+                    // For other errors, don't retry
+                    log(
+                        `Non-retryable error for ${name}: ${error.message}`,
+                        'error'
+                    )
+                    throw providerError(error, status)
+                }
+            }
+        }
+
+        throw new Error(`Unexpected error in ${name} process`)
+    }
+
+    // Helper function to process image with the provider for watermark detection
+    // Pass retry options (see callWithRetry) to retry rate limit and overload
+    // errors; without them the first provider error is thrown.
+    async function detectWatermark(imageBuffer, filename, retry = null) {
+        const labels = { provider: provider.name, operation: 'detect' }
+        const call = () =>
+            provider.detect(
+                imageBuffer,
+                getMimeType(filename),
+                DETECTION_PROMPT
+            )
+        let text
+        if (retry) {
+            text = await callWithRetry('detect', call, retry)
+        } else {
+            providerAttempts.inc(labels)
+            try {
+                text = await call()
+            } catch (error) {
+                providerErrors.inc({
+                    ...labels,
+                    status: providerErrorStatus(error),
+                })
+                log(`Error in watermark detection: ${error.message}`, 'error')
+                throw providerError(error)
+            }
+        }
+
+        const { data, parseError } = parseModelOutput(text, DETECTION_SCHEMA)
+        if (parseError) {
+            log(
+                `Failed to parse detection response (${parseError}): ${text}`,
+                'error'
+            )
+            // Report the raw answer rather than guessing from its wording
+            return { hasWatermark: null, explanation: text, parseError }
+        }
+        return data
+    }
+
+    // Helper function to process image with the provider for watermark removal
+    async function removeWatermarkWithRetry(
+        imageBuffer,
+        filename,
+        prompt,
+        options
+    ) {
+        return callWithRetry(
+            'remove',
+            () => provider.remove(imageBuffer, getMimeType(filename), prompt),
+            options
+        )
+    }
+
+    // Helper function to check if an image is mostly white (indicating a failed removal)
+    async function isImageMostlyWhite(
+        imageBuffer,
+        whiteThreshold = 0.99,
+        avgBrightnessThreshold = 0.99
+    ) {
+        try {
+            // First, get image stats to analyze overall brightness
+            const stats = await sharp(imageBuffer).stats()
+
+            // Calculate average brightness across all channels
+            let totalBrightness = 0
+            stats.channels.forEach((channel) => {
+                totalBrightness += channel.mean / 255 // Normalize to 0-1 range
+            })
+            const avgBrightness = totalBrightness / stats.channels.length
+
+            // Check if standard deviation is very low (indicating uniform color)
+            let lowVariation = true
+            stats.channels.forEach((channel) => {
+                // If std dev is higher than 10% of possible range, it's not uniform
+                if (channel.std > 25) {
+                    // 25/255 ≈ 10%
+                    lowVariation = false
+                }
+            })
+
+            // Get full pixel data for more detailed analysis
+            const { data, info } = await sharp(imageBuffer)
+                .raw()
+                .toBuffer({ resolveWithObject: true })
+
+            const totalPixels = info.width * info.height
+            let whitePixels = 0
+
+            // For RGB(A) images, check for white pixels
+            const channels = info.channels
+            const pixelSize = channels // Number of bytes per pixel
+
+            for (let i = 0; i < data.length; i += pixelSize) {
+                // For RGB, consider white if all values are high (close to 255)
+                const r = data[i]
+                const g = data[i + 1]
+                const b = data[i + 2]
+                // More permissive white detection that also catches off-white colors
+                const isWhitePixel = r > 230 && g > 230 && b > 230
+                if (isWhitePixel) {
+                    whitePixels++
+                }
+            }
+
+            const whiteRatio = whitePixels / totalPixels
+            log(
+                `White pixel ratio: ${whiteRatio.toFixed(
+                    4
+                )} (${whitePixels} of ${totalPixels} pixels)`,
+                'debug'
+            )
+            log(
+                `Average brightness: ${avgBrightness.toFixed(
+                    4
+                )}, Low variation: ${lowVariation}`,
+                'debug'
+            )
+
+            // Consider an image "failed" if:
+            // 1. It has a very high percentage of white pixels (exceeding threshold)
+            // 2. OR it's very bright overall AND has low variation (meaning it's a nearly uniform light color)
+            return (
+                whiteRatio > whiteThreshold ||
+                (avgBrightness > avgBrightnessThreshold && lowVariation)
+            )
+        } catch (error) {
+            log(`Error checking if image is white: ${error.message}`, 'error')
+            return false // Assume not white on error
+        }
+    }
+
+    // Helper function to read a provider's removal response.
+    // Returns { textResponse, jsonResponse, parseError, imageData, blocked }
+    // where imageData is the returned image, or null when the model sent none,
+    // and blocked is set when safety or recitation checks stopped the answer.
+    function readRemovalResponse(response, mode) {
+        let textResponse = null
+        let jsonResponse = null
+        let parseError = null
+        let imageData = null
+        let blocked = false
+
+        // For debugging, log the full response object (image data is redacted)
+        log('Provider response payload', 'debug', {
+            provider: provider.name,
+            payload: response,
+        })
+
+        // Process the response parts
+        const candidate = response.candidates && response.candidates[0]
+        if (candidate) {
+            providerFinishReasons.inc({
+                provider: provider.name,
+                reason: candidate.finishReason || 'UNKNOWN',
+            })
+        }
+        if (candidate && candidate.content && candidate.content.parts) {
+            const textParts = []
+            for (const part of candidate.content.parts) {
+                if (part.text) {
+                    textParts.push(part.text)
+                } else if (part.inlineData && part.inlineData.data) {
+                    imageData = Buffer.from(part.inlineData.data, 'base64')
+                    log(`Image returned from provider`, 'debug')
+                }
+            }
+
+            // Models may split their answer over several text parts
+            if (textParts.length > 0) {
+                textResponse = textParts.join('').trim()
+            }
+
+            // Structured mode always expects JSON; in standard mode only answers
+            // that look like JSON are validated
+            if (
+                mode === 'structured' ||
+                (textResponse && /^(\{|```)/.test(textResponse))
+            ) {
+                const parsed = parseModelOutput(textResponse, REMOVAL_SCHEMA)
+                jsonResponse = parsed.data
+                parseError = parsed.parseError
+                if (parseError) {
+                    log(
+                        `Failed to parse removal response (${parseError}): ${textResponse}`,
+                        'warn'
+                    )
+                }
+            }
+        } else if (candidate) {
+            // Handle cases where the response structure is unexpected
+            log(
+                `No content parts found in provider response. Finish reason: ${candidate.finishReason}`,
+                'warn'
+            )
+            if (candidate.finishReason === 'SAFETY') {
+                blocked = true
+                textResponse =
+                    'The image could not be processed due to safety settings.'
+            } else if (candidate.finishReason === 'RECITATION') {
+                blocked = true
+                textResponse =
+                    'The image could not be processed due to recitation restrictions.'
+            } else {
+                textResponse = `Image processing failed with reason: ${candidate.finishReason}`
+            }
+        }
+
+        return { textResponse, jsonResponse, parseError, imageData, blocked }
+    }
+
+    // Helper function to remove watermarks tile by tile. Every tile is checked
+    // with detection first and only flagged tiles are sent for removal; the
+    // results are blended back into the full-resolution image.
+    // Returns the same fields as readRemovalResponse plus a `tiles` summary.
+    async function removeWatermarkTiled(imageBuffer, prompt, options) {
+        const { mode, progress, onProgress } = options
+        const split = await splitIntoTiles(imageBuffer, tilingConfig)
+        const tiles = {
+            total: split.tiles.length,
+            flagged: 0,
+            processed: 0,
+        }
+        log(
+            `Processing ${split.width}x${split.height} image as ${split.columns}x${split.rows} tiles`
+        )
+        progress({ stage: 'tiles', stageDetails: {}, tiles: { ...tiles } })
+
+        const flagged = []
+        for (const tile of split.tiles) {
+            // Tiles are checked one after another, backing off on rate limits
+            // like removal does
+            const detection = await detectWatermark(tile.buffer, 'tile.png', {
+                onProgress,
+            })
+            // An unreadable detection answer is treated as a possible watermark
+            if (detection.hasWatermark !== false) {
+                flagged.push(tile)
+            }
+        }
+        tiles.flagged = flagged.length
+        progress({ stage: 'tiles', stageDetails: {}, tiles: { ...tiles } })
+        log(`Watermark detected in ${flagged.length} of ${tiles.total} tiles`)
+
+        if (flagged.length === 0) {
+            const explanation = 'No watermark was detected in any tile.'
+            return {
+                textResponse: explanation,
+                jsonResponse: { hasWatermark: false, explanation },
+                parseError: null,
+                imageData: null,
+                tiles,
+            }
+        }
+
+        const processedTiles = []
+        const explanations = []
+        let parseError = null
+        let textResponse = null
+        for (const tile of flagged) {
+            const response = await removeWatermarkWithRetry(
+                tile.buffer,
+                'tile.png',
+                prompt,
+                { onProgress }
+            )
+            const removal = readRemovalResponse(response, mode)
+            if (removal.imageData) {
+                processedTiles.push({ tile, buffer: removal.imageData })
+            }
+            if (removal.jsonResponse && removal.jsonResponse.explanation) {
+                explanations.push(removal.jsonResponse.explanation)
+            }
+            parseError = parseError || removal.parseError
+            textResponse = textResponse || removal.textResponse
+            tiles.processed = processedTiles.length
+            progress({ stage: 'tiles', stageDetails: {}, tiles: { ...tiles } })
+        }
+
+        const explanation = `Removed watermarks from ${processedTiles.length} of ${flagged.length} flagged tiles.`
+        return {
+            textResponse:
+                processedTiles.length > 0 ? explanation : textResponse,
+            jsonResponse: {
+                hasWatermark: true,
+                explanation: [explanation, ...new Set(explanations)].join(' '),
+            },
+            parseError,
+            imageData:
+                processedTiles.length > 0
+                    ? await blendTiles(
+                          imageBuffer,
+                          processedTiles,
+                          tilingConfig
+                      )
+                    : null,
+            tiles,
+        }
+    }
+
+    // Convert an image if needed and ask the provider whether it has a watermark
+    async function detect(originalImageData, name) {
+        const stopConvertTimer = stageDuration.startTimer({ stage: 'convert' })
+        const {
+            buffer: processableImageData,
+            filename: processableFilename,
+            converted,
+        } = await convertToSupportedFormat(originalImageData, name)
+        stopConvertTimer()
+
+        if (converted) {
+            log(
+                `Image was converted from ${path.extname(
+                    name
+                )} to ${path.extname(processableFilename)}`,
+                'info'
+            )
+        }
+
+        log(`Processing watermark detection for image: ${name}`)
+        const stopDetectTimer = stageDuration.startTimer({ stage: 'detect' })
+        const detectionResult = await detectWatermark(
+            processableImageData,
+            processableFilename
+        )
+        stopDetectTimer()
+        log('Detection result', 'info', { result: detectionResult })
+        return detectionResult
+    }
+
+    // Remove the watermark from an image: convert it, send it to the provider
+    // (tile by tile for large images), verify the result, keep only the
+    // requested region, reapply transparency and encode it.
+    // region is { mask, boxes, feather } with the mask as an image buffer.
+    // progress receives job-style updates ({ stage, stageDetails, ... }).
+    // Resolves to { result, buffer, filename }: the result fields the API
+    // returns, the encoded image and its sanitized filename.
+    async function remove(
+        originalImageData,
+        originalFilename,
+        {
+            prompt,
+            mode = 'standard',
+            tiling = 'off',
+            region = null,
+            output: outputOptions = {},
+            progress = () => {},
+        } = {}
+    ) {
+        const sanitizedFilename = sanitizeFilename(originalFilename)
+
+        // Record the pipeline stage for /api/jobs/:id/events
+        const stage = (name, details = {}) =>
+            progress({ stage: name, stageDetails: details })
+
+        log(`Processing watermark removal for image: ${originalFilename}`)
+
+        // Convert image if needed
+        stage('converting')
+        const stopConvertTimer = stageDuration.startTimer({ stage: 'convert' })
+        const {
+            buffer: processableImageData,
+            filename: processableFilename,
+            converted,
+            hasTransparency,
+            originalBuffer,
+            originalFormat,
+        } = await convertToSupportedFormat(originalImageData, originalFilename)
+        stopConvertTimer()
+
+        if (converted) {
+            log(
+                `Image was converted from ${path.extname(
+                    originalFilename
+                )} to ${path.extname(processableFilename)}`,
+                'info'
+            )
+        }
+        stage('converted', {
+            converted,
+            from: path.extname(originalFilename).toLowerCase(),
+            to: path.extname(processableFilename).toLowerCase(),
+        })
+
+        // Report provider attempts and backoffs as job progress
+        const onProgress = (event, details) => {
+            if (event === 'attempt') {
+                progress({
+                    state: details.attempt > 1 ? 'retrying' : 'running',
+                    attempts: details.attempt,
+                    maxAttempts: details.maxAttempts,
+                    stage: 'attempt',
+                    stageDetails: details,
+                })
+            } else if (event === 'backoff') {
+                progress({
+                    state: 'retrying',
+                    retryAt: new Date(
+                        Date.now() + details.waitMs
+                    ).toISOString(),
+                    stage: 'backoff',
+                    stageDetails: details,
+                })
+            }
+        }
+
+        // Large images are processed tile by tile to keep their full resolution
+        const processableMetadata = await sharp(processableImageData).metadata()
+        const longestSide = Math.max(
+            processableMetadata.width || 0,
+            processableMetadata.height || 0
+        )
+        const useTiling =
+            tiling === 'on' ||
+            (tiling === 'auto' && longestSide > tilingConfig.threshold)
+
+        let removal
+        let tileSummary = null
+        const stopRemoveTimer = stageDuration.startTimer({ stage: 'remove' })
+        if (useTiling) {
+            removal = await removeWatermarkTiled(processableImageData, prompt, {
+                mode,
+                progress,
+                onProgress,
+            })
+            tileSummary = removal.tiles
+        } else {
+            const response = await removeWatermarkWithRetry(
+                processableImageData,
+                processableFilename,
+                prompt,
+                { onProgress }
+            )
+            removal = readRemovalResponse(response, mode)
+        }
+        stopRemoveTimer()
+
+        // A blocked answer has nothing to keep
+        if (removal.blocked) {
+            throw new AppError('CONTENT_BLOCKED', removal.textResponse)
+        }
+
+        let { textResponse, jsonResponse, parseError } = removal
+        let processedImageData = removal.imageData
+        let imageReturned = Boolean(processedImageData)
+
+        // If no processed image was returned, use the original image
+        if (!processedImageData) {
+            log(
+                'No processed image received from provider, using original image',
+                'warn'
+            )
+            processedImageData = originalImageData
+            imageReturned = false
+            log(
+                `Explicitly setting imageReturned to false due to no image`,
+                'debug'
+            )
+            if (!textResponse) {
+                textResponse =
+                    "The AI model couldn't process the image. The original image has been preserved."
+            }
+        }
+
+        // Sometimes Gemini returns a blank image, so check if the processed image
+        // is mostly white (indicating a failed removal). Inputs that are already
+        // mostly white, such as product shots on white, are exempt.
+        const stopVerifyTimer = stageDuration.startTimer({ stage: 'verify' })
+        if (imageReturned) {
+            stage('verifying')
+            const { whiteThreshold } = qualityConfig
+            const isMostlyWhite =
+                (await isImageMostlyWhite(
+                    processedImageData,
+                    whiteThreshold,
+                    whiteThreshold
+                )) &&
+                !(await isImageMostlyWhite(
+                    processableImageData,
+                    whiteThreshold,
+                    whiteThreshold
+                ))
+            if (isMostlyWhite) {
+                whiteRejections.inc()
+                log(
+                    `Processed image is mostly white (threshold: ${whiteThreshold}), likely a failed removal. Reverting to original image.`,
+                    'warn'
+                )
+                processedImageData = originalImageData
+                imageReturned = false
+                if (!textResponse) {
+                    textResponse =
+                        'The AI model returned a blank or mostly white image, indicating it removed too much content. The original image has been preserved.'
+                }
+            }
+        }
+
+        // Verify the result still looks like the input: a model that crops,
+        // shifts or redraws the image fails these checks
+        let quality = null
+        if (imageReturned && qualityConfig.action !== 'off') {
+            try {
+                const metrics = await compareImages(
+                    processableImageData,
+                    processedImageData
+                )
+                const failures = evaluateQuality(metrics, qualityConfig)
+                quality = {
+                    ...metrics,
+                    passed: failures.length === 0,
+                    failures,
+                }
+                log('Quality metrics', 'debug', { metrics })
+
+                if (failures.length > 0) {
+                    qualityFailures.inc({ action: qualityConfig.action })
+                    log(
+                        `Processed image failed quality checks: ${failures.join('; ')}`,
+                        'warn'
+                    )
+                    if (qualityConfig.action === 'reject') {
+                        processedImageData = originalImageData
+                        imageReturned = false
+                        textResponse =
+                            'The AI model returned an image that differs too much from the original. The original image has been preserved.'
+                    }
+                }
+            } catch (error) {
+                log(
+                    `Error verifying processed image: ${error.message}`,
+                    'error'
+                )
+            }
+        }
+        stopVerifyTimer()
+
+        // Keep only the model's changes inside the requested mask or boxes. The
+        // original's own alpha is kept, so transparency needs no reapplying.
+        if (region && imageReturned) {
+            log(
+                'Compositing the processed region onto the original image',
+                'info'
+            )
+            stage('compositing')
+            const stopCompositeTimer = stageDuration.startTimer({
+                stage: 'composite',
+            })
+            processedImageData = await compositeRegion(
+                originalImageData,
+                processedImageData,
+                {
+                    mask: region.mask,
+                    boxes: region.boxes,
+                    feather: region.feather,
+                }
+            )
+            stopCompositeTimer()
+        }
+
+        // Reapply transparency if the original image had it and we got a processed result
+        if (hasTransparency && imageReturned && originalBuffer && !region) {
+            log(
+                'Original image had transparency, reapplying to the processed image',
+                'info'
+            )
+            stage('transparency')
+            transparencyReapplications.inc()
+            const stopTransparencyTimer = stageDuration.startTimer({
+                stage: 'transparency',
+            })
+            processedImageData = await reapplyTransparency(
+                processedImageData,
+                originalBuffer,
+                originalFormat
+            )
+            stopTransparencyTimer()
+        }
+
+        // Encode in the original (or requested) format at the original size.
+        // Region results stay lossless so untouched pixels remain exact.
+        stage('encoding')
+        const stopEncodeTimer = stageDuration.startTimer({ stage: 'encode' })
+        const output = await encodeOutput(
+            processedImageData,
+            originalImageData,
+            outputOptions,
+            { lossless: Boolean(region) }
+        )
+        stopEncodeTimer()
+        processedImageData = output.buffer
+        const outputMimeType = output.mimeType
+        const processedFilename = `${path.basename(
+            sanitizedFilename,
+            path.extname(sanitizedFilename)
+        )}${output.extension}`
+        log(`Encoded processed image as ${outputMimeType}`, 'debug')
+
+        // Use the flag directly instead of comparing buffer contents
+        const watermarkRemoved = imageReturned
+        log(`Setting watermarkRemoved to: ${watermarkRemoved}`, 'debug')
+
+        const result = {
+            success: true,
+            text: textResponse || 'Image processed successfully',
+            mimeType: outputMimeType, // Add MIME type to the response
+            ...(jsonResponse || {}),
+            watermarkRemoved,
+            mode,
+            quality,
+            cached: false,
+        }
+        if (tileSummary) {
+            result.tiles = tileSummary
+        }
+        if (parseError) {
+            result.parseError = parseError
+        }
+        log(
+            `Processing completed for ${originalFilename}. Removed: ${result.watermarkRemoved}`
+        )
+
+        return {
+            result,
+            buffer: processedImageData,
+            filename: processedFilename,
+        }
+    }
+
+    return {
+        convertToSupportedFormat,
+        reapplyTransparency,
+        isImageMostlyWhite,
+        detectWatermark,
+        removeWatermarkWithRetry,
+        readRemovalResponse,
+        detect,
+        remove,
+    }
+}
@@ -0,0 +1,159 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import {
+    describeSchema,
+    DETECTION_SCHEMA,
+    REMOVAL_SCHEMA,
+} from './modelOutput.js'
+
+// Detection prompt; answers are validated against DETECTION_SCHEMA
+export const DETECTION_PROMPT = `Does this image have a watermark? Respond in JSON format with this structure:
+${describeSchema(DETECTION_SCHEMA)}
+
+"explanation" should describe what watermark was detected, or why no watermark was found. "location" should say where in the image the watermark is (e.g. "bottom-right corner").`
+
+// Removal modes: "standard" expects free text, "structured" asks for JSON
+// and validates the answer. Each adds its response format to the preset's
+// prompt.
+export const REMOVAL_MODES = {
+    standard: `Otherwise, just respond with 'no watermark' if there is no watermark.`,
+    structured: `Please also respond with a JSON response with this structure:
+${describeSchema(REMOVAL_SCHEMA)}
+
+"explanation" should describe what watermark was detected, or why no watermark was found. "location" should say where in the image the watermark is (e.g. "bottom-right corner").
+
+IMPORTANT: You must return both the JSON response AND the image with watermark removed (if a watermark was detected).`,
+}
+
+// Used when the presets directory has no "generic" preset
+const FALLBACK_PRESET = {
+    name: 'generic',
+    description: 'Remove any watermark',
+    prompt: 'Does this image have a watermark? If this image has a watermark, please remove the watermark and return the unwatermarked image. I have permission to remove watermarks from this image.',
+}
+
+const PRESET_NAME = /^[a-z0-9][a-z0-9-]*$/
+const MAX_HINT_LENGTH = 200
+
+// Helper function to read one preset file, returning null if it is invalid
+function readPreset(filePath, log) {
+    const name = path.basename(filePath, '.json')
+    if (!PRESET_NAME.test(name)) {
+        log(`Ignoring prompt preset with invalid name: ${filePath}`, 'warn')
+        return null
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        if (typeof data.prompt !== 'string' || !data.prompt.trim()) {
+            throw new Error('"prompt" must be a non-empty string')
+        }
+        return {
+            name,
+            description:
+                typeof data.description === 'string' ? data.description : '',
+            prompt: data.prompt.trim(),
+        }
+    } catch (error) {
+        log(
+            `Ignoring invalid prompt preset ${filePath}: ${error.message}`,
+            'warn'
+        )
+        return null
+    }
+}
+
+// Prompt presets loaded from <dir>/<name>.json, each holding
+// { "description": "...", "prompt": "..." }. The prompt says what to remove;
+// the removal mode adds the response format it expects. Presets are read
+// once, when the store is created.
+export function createPromptPresets({
+    dir,
+    defaultPreset = 'generic',
+    log = () => {},
+}) {
+    const presets = new Map()
+
+    if (fs.existsSync(dir)) {
+        for (const file of fs.readdirSync(dir).sort()) {
+            if (path.extname(file) !== '.json') {
+                continue
+            }
+            const preset = readPreset(path.join(dir, file), log)
+            if (preset) {
+                presets.set(preset.name, preset)
+            }
+        }
+    } else {
+        log(`Prompt presets directory not found: ${dir}`, 'warn')
+    }
+
+    if (!presets.has(FALLBACK_PRESET.name)) {
+        presets.set(FALLBACK_PRESET.name, FALLBACK_PRESET)
+    }
+    if (!presets.has(defaultPreset)) {
+        log(
+            `Unknown PROMPT_PRESET "${defaultPreset}", using ${FALLBACK_PRESET.name}`,
+            'warn'
+        )
+        defaultPreset = FALLBACK_PRESET.name
+    }
+
+    // Resolve the preset requested by a client, or the default one
+    function resolve(name) {
+        if (name === undefined || name === null || name === '') {
+            return presets.get(defaultPreset)
+        }
+        const preset = presets.get(String(name))
+        if (!preset) {
+            throw new Error(
+                `Invalid preset. Available presets: ${[...presets.keys()].join(
+                    ', '
+                )}`
+            )
+        }
+        return preset
+    }
+
+    function list() {
+        return [...presets.values()].map((preset) => ({
+            ...preset,
+            default: preset.name === defaultPreset,
+        }))
+    }
+
+    return { resolve, list, defaultPreset }
+}
+
+// Helper function to clean up a client's hint (e.g. the watermark's wording)
+// before it goes into a prompt. Returns null when there is no hint.
+export function parsePromptHint(value) {
+    if (value === undefined || value === null) {
+        return null
+    }
+    const hint = String(value)
+        .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+    if (!hint) {
+        return null
+    }
+    if (hint.length > MAX_HINT_LENGTH) {
+        throw new Error(
+            `Invalid hint. Hints are limited to ${MAX_HINT_LENGTH} characters`
+        )
+    }
+    return hint
+}
+
+// Build a removal prompt from a preset's prompt, an optional hint such as
+// the watermark's wording, and the response format of the removal mode
+export function composeRemovalPrompt(presetPrompt, { mode, hint = null }) {
+    return [
+        presetPrompt,
+        hint &&
+            `The watermark reads or looks like: "${hint}". Remove it wherever it appears.`,
+        REMOVAL_MODES[mode],
+    ]
+        .filter(Boolean)
+        .join(' ')
+}
@@ -0,0 +1,76 @@
+import { GoogleGenerativeAI } from '@google/generative-ai'
+
+const DEFAULT_DETECT_MODEL = 'gemini-1.5-flash-8b'
+const DEFAULT_REMOVE_MODEL = 'gemini-2.0-flash-exp-image-generation'
+// Value shipped in .env.template, which is never a real key
+const PLACEHOLDER_API_KEY = 'your_google_api_key_here'
+
+// Provider backed by the Google Gemini API
+export function createGeminiProvider({
+    apiKey = process.env.GOOGLE_API_KEY,
+    detectModel = process.env.GEMINI_DETECT_MODEL || DEFAULT_DETECT_MODEL,
+    removeModel = process.env.GEMINI_REMOVE_MODEL || DEFAULT_REMOVE_MODEL,
+} = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey)
+
+    return {
+        name: 'gemini',
+        models: { detect: detectModel, remove: removeModel },
+        capabilities: {
+            detect: true,
+            remove: true,
+            imageOutput: true,
+            requiresNetwork: true,
+            rateLimited: true,
+        },
+        credentials: {
+            env: 'GOOGLE_API_KEY',
+            configured: Boolean(apiKey) && apiKey !== PLACEHOLDER_API_KEY,
+        },
+
+        // Returns the raw text answer to the detection prompt
+        async detect(imageBuffer, mimeType, prompt) {
+            const model = genAI.getGenerativeModel({ model: detectModel })
+
+            const result = await model.generateContent([
+                { text: prompt },
+                {
+                    inlineData: {
+                        data: Buffer.from(imageBuffer).toString('base64'),
+                        mimeType,
+                    },
+                },
+            ])
+
+            const response = await result.response
+            return response.text()
+        },
+
+        // Returns the Gemini response (candidates with text and image parts)
+        async remove(imageBuffer, mimeType, prompt) {
+            const model = genAI.getGenerativeModel({ model: removeModel })
+
+            const result = await model.generateContent({
+                contents: {
+                    role: 'user',
+                    parts: [
+                        { text: prompt },
+                        {
+                            inlineData: {
+                                data: Buffer.from(imageBuffer).toString(
+                                    'base64'
+                                ),
+                                mimeType,
+                            },
+                        },
+                    ],
+                },
+                generationConfig: {
+                    responseModalities: ['Text', 'Image'],
+                },
+            })
+
+            return await result.response
+        },
+    }
+}
@@ -0,0 +1,34 @@
+import { createGeminiProvider } from './gemini.js'
+import { createLocalProvider } from './local.js'
+
+// Every provider exposes the same shape:
+// - name, models and capabilities metadata
+// - credentials: { env, configured } naming the variable holding the API key
+//   and whether it is set (env is null when none is needed)
+// - detect(imageBuffer, mimeType, prompt) resolving to the model's text answer
+// - remove(imageBuffer, mimeType, prompt) resolving to a response with
+//   candidates[].content.parts holding text and/or inlineData image parts
+const providerFactories = {
+    gemini: createGeminiProvider,
+    local: createLocalProvider,
+}
+
+export function getProviderNames() {
+    return Object.keys(providerFactories)
+}
+
+// Create the provider selected by name, defaulting to WATERMARK_PROVIDER
+export function createProvider(
+    name = process.env.WATERMARK_PROVIDER || 'gemini',
+    options = {}
+) {
+    const factory = providerFactories[name.toLowerCase()]
+    if (!factory) {
+        throw new Error(
+            `Unknown watermark provider "${name}". Available providers: ${getProviderNames().join(
+                ', '
+            )}`
+        )
+    }
+    return factory(options)
+}
@@ -0,0 +1,73 @@
+import sharp from 'sharp'
+
+// Helper function to fill in the structured fields of a canned answer
+function cannedDetails(hasWatermark) {
+    return hasWatermark
+        ? { watermarkType: 'text', location: 'whole image', confidence: 1 }
+        : { watermarkType: 'none', confidence: 1 }
+}
+
+// Deterministic offline provider for CI and local development.
+// It never calls the network: detection returns canned JSON and removal
+// returns a lightly blurred copy of the input in the Gemini response shape.
+export function createLocalProvider({
+    hasWatermark = process.env.LOCAL_PROVIDER_HAS_WATERMARK !== 'false',
+    blurSigma = Number(process.env.LOCAL_PROVIDER_BLUR_SIGMA) || 1.5,
+} = {}) {
+    return {
+        name: 'local',
+        models: { detect: 'local-canned', remove: 'local-blur' },
+        capabilities: {
+            detect: true,
+            remove: true,
+            imageOutput: true,
+            requiresNetwork: false,
+            rateLimited: false,
+        },
+        credentials: { env: null, configured: true },
+
+        async detect() {
+            return JSON.stringify({
+                hasWatermark,
+                explanation: hasWatermark
+                    ? 'Local provider: reporting a watermark for testing purposes'
+                    : 'Local provider: reporting no watermark for testing purposes',
+                ...cannedDetails(hasWatermark),
+            })
+        },
+
+        async remove(imageBuffer) {
+            const parts = [
+                {
+                    text: JSON.stringify({
+                        hasWatermark,
+                        watermarkRemoved: hasWatermark,
+                        explanation: hasWatermark
+                            ? 'Local provider: image blurred to simulate watermark removal'
+                            : 'Local provider: no watermark, image returned unchanged',
+                        ...cannedDetails(hasWatermark),
+                    }),
+                },
+            ]
+
+            if (hasWatermark) {
+                // Like a real model, return the image the way it is displayed
+                const blurred = await sharp(imageBuffer)
+                    .rotate()
+                    .blur(blurSigma)
+                    .png()
+                    .toBuffer()
+                parts.push({
+                    inlineData: {
+                        data: blurred.toString('base64'),
+                        mimeType: 'image/png',
+                    },
+                })
+            }
+
+            return {
+                candidates: [{ content: { parts }, finishReason: 'STOP' }],
+            }
+        },
+    }
+}
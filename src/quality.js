@@ -0,0 +1,176 @@
+import sharp from 'sharp'
+
+// Both images are compared as greyscale at this size, so results from a model
+// that returns a different resolution still line up pixel for pixel
+const COMPARE_SIZE = 256
+const SSIM_WINDOW = 8
+// Grey-level difference above which a pixel counts as changed
+const CHANGE_TOLERANCE = 32
+
+// SSIM constants for 8-bit images: (0.01 * 255)^2 and (0.03 * 255)^2
+const C1 = 6.5025
+const C2 = 58.5225
+
+export const QUALITY_ACTIONS = ['reject', 'flag', 'off']
+
+// Read the verification thresholds from the environment
+export function getQualityConfig(env = process.env) {
+    const action = QUALITY_ACTIONS.includes(env.QUALITY_ACTION)
+        ? env.QUALITY_ACTION
+        : 'reject'
+    const number = (value, fallback) =>
+        value === undefined || value === '' || isNaN(Number(value))
+            ? fallback
+            : Number(value)
+
+    return {
+        action,
+        minSsim: number(env.QUALITY_MIN_SSIM, 0.75),
+        maxHashDistance: number(env.QUALITY_MAX_HASH_DISTANCE, 12),
+        maxChangedRatio: number(env.QUALITY_MAX_CHANGED_RATIO, 0.3),
+        whiteThreshold: number(env.QUALITY_WHITE_THRESHOLD, 0.99),
+    }
+}
+
+// Helper function to decode an image to COMPARE_SIZE greyscale pixels
+async function toComparable(buffer) {
+    return sharp(buffer)
+        .rotate()
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .resize(COMPARE_SIZE, COMPARE_SIZE, { fit: 'fill' })
+        .greyscale()
+        .extractChannel(0)
+        .raw()
+        .toBuffer()
+}
+
+// Mean structural similarity over non-overlapping windows
+function computeSsim(a, b) {
+    let total = 0
+    let windows = 0
+    const count = SSIM_WINDOW * SSIM_WINDOW
+
+    for (let top = 0; top < COMPARE_SIZE; top += SSIM_WINDOW) {
+        for (let left = 0; left < COMPARE_SIZE; left += SSIM_WINDOW) {
+            let sumA = 0
+            let sumB = 0
+            let sumAA = 0
+            let sumBB = 0
+            let sumAB = 0
+            for (let y = top; y < top + SSIM_WINDOW; y++) {
+                for (let x = left; x < left + SSIM_WINDOW; x++) {
+                    const i = y * COMPARE_SIZE + x
+                    sumA += a[i]
+                    sumB += b[i]
+                    sumAA += a[i] * a[i]
+                    sumBB += b[i] * b[i]
+                    sumAB += a[i] * b[i]
+                }
+            }
+            const meanA = sumA / count
+            const meanB = sumB / count
+            const varA = sumAA / count - meanA * meanA
+            const varB = sumBB / count - meanB * meanB
+            const covariance = sumAB / count - meanA * meanB
+
+            total +=
+                ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+                ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2))
+            windows++
+        }
+    }
+
+    return total / windows
+}
+
+// Perceptual hash: the signs of the lowest 8x8 DCT frequencies of a 32x32
+// thumbnail compared to their median, as 64 bits
+function perceptualHash(pixels) {
+    const size = 32
+    const step = COMPARE_SIZE / size
+    const small = new Float64Array(size * size)
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let sum = 0
+            for (let dy = 0; dy < step; dy++) {
+                for (let dx = 0; dx < step; dx++) {
+                    sum +=
+                        pixels[(y * step + dy) * COMPARE_SIZE + x * step + dx]
+                }
+            }
+            small[y * size + x] = sum / (step * step)
+        }
+    }
+
+    const coefficients = []
+    for (let v = 0; v < 8; v++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    sum +=
+                        small[y * size + x] *
+                        Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size)) *
+                        Math.cos(((2 * y + 1) * v * Math.PI) / (2 * size))
+                }
+            }
+            coefficients.push(sum)
+        }
+    }
+
+    // The DC term only reflects overall brightness, so leave it out of the median
+    const median = [...coefficients.slice(1)].sort((a, b) => a - b)[31]
+    return coefficients.map((value) => value > median)
+}
+
+// Compare a processed image with the image the model was given.
+// Returns { ssim, hashDistance, changedPixelRatio }: ssim is 1 for identical
+// images, hashDistance counts differing perceptual hash bits (0-64) and
+// changedPixelRatio is the share of pixels that changed noticeably.
+export async function compareImages(originalBuffer, processedBuffer) {
+    const [original, processed] = await Promise.all([
+        toComparable(originalBuffer),
+        toComparable(processedBuffer),
+    ])
+
+    let changed = 0
+    for (let i = 0; i < original.length; i++) {
+        if (Math.abs(original[i] - processed[i]) > CHANGE_TOLERANCE) {
+            changed++
+        }
+    }
+
+    const originalHash = perceptualHash(original)
+    const processedHash = perceptualHash(processed)
+    const hashDistance = originalHash.filter(
+        (bit, index) => bit !== processedHash[index]
+    ).length
+
+    return {
+        ssim: Number(computeSsim(original, processed).toFixed(4)),
+        hashDistance,
+        changedPixelRatio: Number((changed / original.length).toFixed(4)),
+    }
+}
+
+// Check comparison metrics against the configured thresholds.
+// Returns the list of reasons the result failed (empty when it passed).
+export function evaluateQuality(metrics, config) {
+    const failures = []
+    if (metrics.ssim < config.minSsim) {
+        failures.push(
+            `Structural similarity ${metrics.ssim} is below ${config.minSsim}`
+        )
+    }
+    if (metrics.hashDistance > config.maxHashDistance) {
+        failures.push(
+            `Perceptual hash distance ${metrics.hashDistance} exceeds ${config.maxHashDistance}`
+        )
+    }
+    if (metrics.changedPixelRatio > config.maxChangedRatio) {
+        failures.push(
+            `Changed pixel ratio ${metrics.changedPixelRatio} exceeds ${config.maxChangedRatio}`
+        )
+    }
+    return failures
+}
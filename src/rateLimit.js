@@ -0,0 +1,155 @@
+import { getConnInfo } from '@hono/node-server/conninfo'
+import { AppError } from './errors.js'
+
+const MAX_BUCKETS = 10000
+
+// Token bucket store: each id gets `burst` tokens that refill continuously
+// at `perMinute` tokens per minute
+function createBucketStore({ perMinute, burst }) {
+    const buckets = new Map()
+    const refillPerMs = perMinute / 60000
+
+    function refill(bucket, now) {
+        bucket.tokens = Math.min(
+            burst,
+            bucket.tokens + (now - bucket.updatedAt) * refillPerMs
+        )
+        bucket.updatedAt = now
+    }
+
+    // Drop buckets that have refilled completely so memory stays bounded
+    function prune(now) {
+        for (const [id, bucket] of buckets) {
+            refill(bucket, now)
+            if (bucket.tokens >= burst) {
+                buckets.delete(id)
+            }
+        }
+    }
+
+    // Get the bucket for an id, refilled up to now
+    function getBucket(id) {
+        const now = Date.now()
+        if (buckets.size >= MAX_BUCKETS && !buckets.has(id)) {
+            prune(now)
+        }
+
+        let bucket = buckets.get(id)
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now }
+            buckets.set(id, bucket)
+        }
+        refill(bucket, now)
+        return bucket
+    }
+
+    function state(bucket, allowed) {
+        return {
+            allowed,
+            limit: burst,
+            remaining: Math.floor(bucket.tokens),
+            // Seconds until one token, and until the bucket is full again
+            retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+            reset: Math.ceil((burst - bucket.tokens) / refillPerMs / 1000),
+        }
+    }
+
+    // Report whether a token is available without taking it
+    function check(id) {
+        const bucket = getBucket(id)
+        return state(bucket, bucket.tokens >= 1)
+    }
+
+    // Take one token if available; returns the bucket state either way
+    function take(id) {
+        const bucket = getBucket(id)
+        const allowed = bucket.tokens >= 1
+        if (allowed) {
+            bucket.tokens -= 1
+        }
+        return state(bucket, allowed)
+    }
+
+    return { check, take }
+}
+
+// Helper function to get the client IP, honouring X-Forwarded-For only when
+// the server runs behind a trusted proxy
+export function getClientIp(c, trustProxy = false) {
+    if (trustProxy) {
+        const forwardedFor = c.req.header('x-forwarded-for')
+        if (forwardedFor) {
+            return forwardedFor.split(',')[0].trim()
+        }
+    }
+    try {
+        return getConnInfo(c).remote.address || 'unknown'
+    } catch (error) {
+        return 'unknown'
+    }
+}
+
+// Hono middleware enforcing per-IP and per-API-key token buckets.
+// A limit with perMinute set to 0 is disabled. The tightest bucket decides
+// the X-RateLimit-* headers; an empty bucket throws RATE_LIMITED (429) and
+// sets Retry-After.
+export function rateLimit({
+    name,
+    perIp,
+    perKey,
+    trustProxy = false,
+    log = () => {},
+}) {
+    const ipBuckets =
+        perIp && perIp.perMinute > 0 ? createBucketStore(perIp) : null
+    const keyBuckets =
+        perKey && perKey.perMinute > 0 ? createBucketStore(perKey) : null
+
+    return async (c, next) => {
+        const apiKey = c.get('apiKey')
+        const limits = []
+
+        // Every caller is limited per IP; API key holders also per key
+        if (ipBuckets) {
+            limits.push([ipBuckets, getClientIp(c, trustProxy)])
+        }
+        if (apiKey && keyBuckets) {
+            limits.push([keyBuckets, apiKey.id])
+        }
+
+        if (limits.length === 0) {
+            return next()
+        }
+
+        // Only take tokens once every bucket has one, so a request denied by
+        // one bucket does not drain the others
+        let results = limits.map(([buckets, id]) => buckets.check(id))
+        const denied = results.find((result) => !result.allowed)
+        if (!denied) {
+            results = limits.map(([buckets, id]) => buckets.take(id))
+        }
+        const tightest =
+            denied ||
+            results.reduce((a, b) => (b.remaining < a.remaining ? b : a))
+
+        c.header('X-RateLimit-Limit', String(tightest.limit))
+        c.header('X-RateLimit-Remaining', String(tightest.remaining))
+        c.header('X-RateLimit-Reset', String(tightest.reset))
+
+        if (denied) {
+            log(
+                `Rate limit exceeded for ${name} (${
+                    apiKey ? `key ${apiKey.id}` : getClientIp(c, trustProxy)
+                })`,
+                'warn'
+            )
+            c.header('Retry-After', String(denied.retryAfter))
+            throw new AppError(
+                'RATE_LIMITED',
+                `Rate limit exceeded. Try again in ${denied.retryAfter} seconds.`
+            )
+        }
+
+        return next()
+    }
+}
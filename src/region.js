@@ -0,0 +1,177 @@
+import sharp from 'sharp'
+
+const DEFAULT_FEATHER = 8
+const MAX_BOXES = 50
+
+// Validate region options from request fields: `mask` (an image where white
+// marks the area to clean), `boxes` (JSON list of { x, y, width, height } in
+// pixels of the image as displayed) and `feather` (edge softness in pixels).
+// Returns null when no region was requested.
+export async function parseRegionOptions(fields) {
+    const mask =
+        fields.mask && typeof fields.mask !== 'string' ? fields.mask : null
+    let boxes = fields.boxes ?? null
+
+    if (!mask && (boxes === null || boxes === '')) {
+        return null
+    }
+
+    if (typeof boxes === 'string') {
+        try {
+            boxes = JSON.parse(boxes)
+        } catch (error) {
+            throw new Error('boxes must be a JSON array of bounding boxes')
+        }
+    }
+
+    if (boxes !== null) {
+        if (!Array.isArray(boxes) || boxes.length === 0) {
+            throw new Error('boxes must be a non-empty array of bounding boxes')
+        }
+        if (boxes.length > MAX_BOXES) {
+            throw new Error(`At most ${MAX_BOXES} bounding boxes are allowed`)
+        }
+        boxes = boxes.map((box) => {
+            const values = ['x', 'y', 'width', 'height'].map((key) =>
+                Number(box && box[key])
+            )
+            if (
+                values.some((value) => !Number.isFinite(value)) ||
+                values[0] < 0 ||
+                values[1] < 0 ||
+                values[2] <= 0 ||
+                values[3] <= 0
+            ) {
+                throw new Error(
+                    'Each bounding box needs non-negative x and y and a positive width and height'
+                )
+            }
+            const [x, y, width, height] = values.map(Math.round)
+            return { x, y, width, height }
+        })
+    }
+
+    let feather = DEFAULT_FEATHER
+    if (fields.feather !== undefined && fields.feather !== '') {
+        feather = Number(fields.feather)
+        if (!Number.isFinite(feather) || feather < 0 || feather > 100) {
+            throw new Error('feather must be a number between 0 and 100')
+        }
+    }
+
+    return {
+        mask: mask ? Buffer.from(await mask.arrayBuffer()) : null,
+        boxes,
+        feather,
+    }
+}
+
+// Helper function to rasterise the mask and boxes into one 8-bit channel
+async function buildMask({ mask, boxes }, width, height) {
+    const data = Buffer.alloc(width * height)
+
+    if (mask) {
+        // Transparent mask pixels count as black (keep the original)
+        const { data: maskData, info } = await sharp(mask)
+            .flatten({ background: { r: 0, g: 0, b: 0 } })
+            .resize(width, height, { fit: 'fill' })
+            .toColourspace('b-w')
+            .raw()
+            .toBuffer({ resolveWithObject: true })
+        for (let i = 0; i < width * height; i++) {
+            data[i] = maskData[i * info.channels]
+        }
+    }
+
+    for (const box of boxes || []) {
+        const right = Math.min(width, box.x + box.width)
+        const bottom = Math.min(height, box.y + box.height)
+        for (let y = Math.min(box.y, height); y < bottom; y++) {
+            data.fill(
+                255,
+                y * width + Math.min(box.x, width),
+                y * width + right
+            )
+        }
+    }
+
+    return data
+}
+
+// Helper function to soften the mask edges inwards only: erode, blur, then
+// clamp to the original mask so nothing outside it gains any weight
+async function featherMask(mask, width, height, feather) {
+    if (feather <= 0) {
+        return mask
+    }
+
+    const raw = { raw: { width, height, channels: 1 } }
+    const radius = Math.max(1, Math.round(feather / 2))
+    let eroded = await sharp(mask, raw)
+        .erode(radius)
+        .extractChannel(0)
+        .raw()
+        .toBuffer()
+
+    // Regions thinner than the feather would vanish entirely, so only blur them
+    if (!eroded.some((value) => value > 0)) {
+        eroded = mask
+    }
+
+    const blurred = await sharp(eroded, raw)
+        .blur(Math.max(0.3, feather / 2))
+        .extractChannel(0)
+        .raw()
+        .toBuffer()
+
+    const feathered = Buffer.alloc(mask.length)
+    for (let i = 0; i < mask.length; i++) {
+        feathered[i] = Math.min(blurred[i], mask[i])
+    }
+    return feathered
+}
+
+// Composite the model's output onto the original image inside the region only.
+// Both images are decoded as displayed (EXIF orientation applied) and the
+// output is a lossless PNG, so every pixel outside the mask, alpha included,
+// is identical to the decoded input.
+export async function compositeRegion(originalBuffer, processedBuffer, region) {
+    const original = await sharp(originalBuffer)
+        .rotate()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+    const { width, height, channels } = original.info
+
+    const processed = await sharp(processedBuffer)
+        .resize(width, height, { fit: 'fill' })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer()
+
+    const mask = await featherMask(
+        await buildMask(region, width, height),
+        width,
+        height,
+        region.feather
+    )
+
+    // Blend the colour channels only; the alpha channel is left untouched
+    const output = Buffer.from(original.data)
+    for (let i = 0; i < width * height; i++) {
+        const weight = mask[i]
+        if (weight === 0) {
+            continue
+        }
+        for (let channel = 0; channel < 3; channel++) {
+            const offset = i * channels + channel
+            const base = output[offset]
+            output[offset] = Math.round(
+                base + ((processed[i * 3 + channel] - base) * weight) / 255
+            )
+        }
+    }
+
+    return sharp(output, { raw: { width, height, channels } }).png().toBuffer()
+}
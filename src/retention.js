@@ -0,0 +1,198 @@
+import * as fs from 'fs'
+import * as path from 'path'
+
+const HOUR = 60 * 60 * 1000
+const MB = 1024 * 1024
+
+// Read retention limits from the environment. Ages are in hours (days for
+// logs) and sizes in megabytes; 0 turns a limit off.
+export function getRetentionConfig(env = process.env) {
+    const number = (value, fallback) =>
+        value === undefined || value === '' || isNaN(Number(value))
+            ? fallback
+            : Number(value)
+
+    return {
+        intervalMs: number(env.RETENTION_SWEEP_MINUTES, 60) * 60 * 1000,
+        persistUploads: env.PERSIST_UPLOADS !== 'false',
+        uploads: {
+            maxAgeMs: number(env.RETENTION_UPLOADS_HOURS, 24) * HOUR,
+            maxBytes: number(env.RETENTION_UPLOADS_MAX_MB, 1024) * MB,
+        },
+        processed: {
+            maxAgeMs: number(env.RETENTION_PROCESSED_HOURS, 7 * 24) * HOUR,
+            maxBytes: number(env.RETENTION_PROCESSED_MAX_MB, 2048) * MB,
+        },
+        logs: {
+            maxAgeMs: number(env.RETENTION_LOGS_DAYS, 30) * 24 * HOUR,
+            maxBytes: number(env.RETENTION_LOGS_MAX_MB, 500) * MB,
+        },
+        jobs: {
+            maxAgeMs: number(env.RETENTION_JOBS_HOURS, 7 * 24) * HOUR,
+        },
+    }
+}
+
+// Helper function to list the files directly inside a directory, oldest first
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return []
+    }
+    const files = []
+    for (const name of fs.readdirSync(dir)) {
+        const filePath = path.join(dir, name)
+        try {
+            const stat = fs.statSync(filePath)
+            if (stat.isFile()) {
+                files.push({
+                    name,
+                    path: filePath,
+                    size: stat.size,
+                    mtimeMs: stat.mtimeMs,
+                })
+            }
+        } catch (error) {
+            // The file was removed while we were listing
+        }
+    }
+    return files.sort((a, b) => a.mtimeMs - b.mtimeMs)
+}
+
+// Report the number of files, total bytes and oldest/newest file times
+export function getDirectoryUsage(dir) {
+    const files = listFiles(dir)
+    return {
+        files: files.length,
+        bytes: files.reduce((total, file) => total + file.size, 0),
+        oldest: files.length ? new Date(files[0].mtimeMs).toISOString() : null,
+        newest: files.length
+            ? new Date(files[files.length - 1].mtimeMs).toISOString()
+            : null,
+    }
+}
+
+// Retention scheduler for directories of generated files.
+// Each directory is { name, dir, maxAgeMs, maxBytes }. A sweep deletes files
+// older than maxAgeMs, then the oldest remaining ones until the directory is
+// back under maxBytes. Files for which isProtected(name, filePath) returns
+// true (e.g. inputs of unfinished jobs) are counted but never deleted.
+// Each pruner is { name, prune } where prune() cleans up state the manager
+// does not own (e.g. finished jobs) and returns { deleted, freedBytes }.
+export function createRetentionManager({
+    directories,
+    pruners = [],
+    intervalMs,
+    isProtected = () => false,
+    log = () => {},
+}) {
+    let timer = null
+    let lastSweep = null
+
+    function sweepDirectory({ name, dir, maxAgeMs, maxBytes }) {
+        const now = Date.now()
+        let totalBytes = 0
+        let deleted = 0
+        let freedBytes = 0
+        const remaining = []
+
+        const remove = (file) => {
+            try {
+                fs.rmSync(file.path, { force: true })
+                deleted++
+                freedBytes += file.size
+                return true
+            } catch (error) {
+                log(`Failed to delete ${file.path}: ${error.message}`, 'warn')
+                return false
+            }
+        }
+
+        for (const file of listFiles(dir)) {
+            const expired = maxAgeMs > 0 && now - file.mtimeMs > maxAgeMs
+            if (expired && !isProtected(name, file.path) && remove(file)) {
+                continue
+            }
+            totalBytes += file.size
+            remaining.push(file)
+        }
+
+        if (maxBytes > 0) {
+            for (const file of remaining) {
+                if (totalBytes <= maxBytes) {
+                    break
+                }
+                if (!isProtected(name, file.path) && remove(file)) {
+                    totalBytes -= file.size
+                }
+            }
+        }
+
+        return { deleted, freedBytes }
+    }
+
+    // Run one sweep over every directory and return what was deleted
+    function sweep() {
+        const summary = {}
+        for (const directory of directories) {
+            summary[directory.name] = sweepDirectory(directory)
+        }
+        for (const { name, prune } of pruners) {
+            try {
+                summary[name] = prune()
+            } catch (error) {
+                log(`Failed to prune ${name}: ${error.message}`, 'warn')
+                summary[name] = { deleted: 0, freedBytes: 0 }
+            }
+        }
+
+        const deleted = Object.values(summary).reduce(
+            (total, entry) => total + entry.deleted,
+            0
+        )
+        if (deleted > 0) {
+            log(
+                `Retention sweep deleted ${deleted} file(s): ${Object.entries(
+                    summary
+                )
+                    .filter(([, entry]) => entry.deleted > 0)
+                    .map(([name, entry]) => `${name} ${entry.deleted}`)
+                    .join(', ')}`
+            )
+        }
+
+        lastSweep = { at: new Date().toISOString(), ...summary }
+        return summary
+    }
+
+    // Sweep once now, then every intervalMs (0 sweeps at startup only)
+    function start() {
+        sweep()
+        if (intervalMs > 0 && !timer) {
+            timer = setInterval(sweep, intervalMs)
+            // Never keep the process alive just for the scheduler
+            timer.unref()
+        }
+    }
+
+    function stop() {
+        if (timer) {
+            clearInterval(timer)
+            timer = null
+        }
+    }
+
+    // Disk usage and limits per directory, plus the last sweep's summary
+    function usage() {
+        const report = {}
+        for (const { name, dir, maxAgeMs, maxBytes } of directories) {
+            report[name] = {
+                ...getDirectoryUsage(dir),
+                maxAgeHours: maxAgeMs / HOUR,
+                maxBytes,
+            }
+        }
+        return { directories: report, lastSweep }
+    }
+
+    return { start, stop, sweep, usage }
+}
@@ -0,0 +1,59 @@
+// Detect the real image format of a buffer from its leading bytes.
+// Returns the canonical file extension (e.g. '.png') or null if unknown.
+export function sniffImageFormat(buffer) {
+    if (!buffer || buffer.length < 4) {
+        return null
+    }
+
+    const ascii = (start, end) => buffer.toString('latin1', start, end)
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return '.jpg'
+    }
+    if (
+        buffer.length >= 8 &&
+        buffer.readUInt32BE(0) === 0x89504e47 &&
+        buffer.readUInt32BE(4) === 0x0d0a1a0a
+    ) {
+        return '.png'
+    }
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+        return '.gif'
+    }
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+        return '.webp'
+    }
+    if (ascii(0, 2) === 'BM') {
+        return '.bmp'
+    }
+    if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') {
+        return '.tiff'
+    }
+    if (buffer.length >= 16 && ascii(4, 8) === 'ftyp') {
+        // Check the major brand and the compatible brands of the ftyp box
+        const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length)
+        for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+            const brand = ascii(offset, offset + 4)
+            if (brand === 'avif' || brand === 'avis') {
+                return '.avif'
+            }
+        }
+        return null
+    }
+
+    // SVG is text, so look for an <svg> root near the start of the document
+    const head = buffer
+        .toString('utf-8', 0, Math.min(buffer.length, 4096))
+        .replace(/^\uFEFF/, '')
+        .trimStart()
+        .toLowerCase()
+    if (
+        head.startsWith('<svg') ||
+        ((head.startsWith('<?xml') || head.startsWith('<!')) &&
+            head.includes('<svg'))
+    ) {
+        return '.svg'
+    }
+
+    return null
+}
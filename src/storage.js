@@ -0,0 +1,18 @@
+import * as fs from 'fs'
+import * as path from 'path'
+
+// Storage for processed images in a local directory. Any object with the
+// same put(name, buffer, { mimeType }) method, resolving to where the image
+// was stored, can be passed to createWatermarkRemover instead (e.g. one
+// writing to object storage).
+export function createFileStorage(dir) {
+    return {
+        async put(name, buffer) {
+            // Names are flat; directory parts are never taken from them
+            const filePath = path.join(dir, path.basename(name))
+            await fs.promises.mkdir(dir, { recursive: true })
+            await fs.promises.writeFile(filePath, buffer)
+            return filePath
+        },
+    }
+}
@@ -0,0 +1,156 @@
+import sharp from 'sharp'
+
+// Tiling settings: images whose longest side exceeds the threshold are split
+// into overlapping tiles of tileSize pixels when tiling is set to auto.
+// Tiling defaults to off since every tile costs a detection call.
+export function getTilingConfig(env = process.env) {
+    return {
+        mode: ['auto', 'on', 'off'].includes(env.TILING) ? env.TILING : 'off',
+        threshold: Number(env.TILING_THRESHOLD) || 2048,
+        tileSize: Number(env.TILE_SIZE) || 1024,
+        overlap: Number(env.TILE_OVERLAP) || 128,
+    }
+}
+
+// Helper function to get tile start positions along one axis. The last tile
+// is aligned with the far edge, so neighbours overlap by at least `overlap`.
+function tileStarts(length, tileSize, overlap) {
+    if (length <= tileSize) {
+        return [0]
+    }
+    const step = tileSize - overlap
+    const starts = []
+    for (let start = 0; start + tileSize < length; start += step) {
+        starts.push(start)
+    }
+    starts.push(length - tileSize)
+    return starts
+}
+
+// Plan a grid of overlapping tiles covering a width x height image
+export function planTiles(width, height, { tileSize, overlap }) {
+    const size = Math.max(overlap * 2 + 1, tileSize)
+    const rows = tileStarts(height, size, overlap)
+    const columns = tileStarts(width, size, overlap)
+    const tiles = []
+
+    rows.forEach((top, row) => {
+        columns.forEach((left, column) => {
+            tiles.push({
+                row,
+                column,
+                left,
+                top,
+                width: Math.min(size, width),
+                height: Math.min(size, height),
+            })
+        })
+    })
+
+    return { rows: rows.length, columns: columns.length, tiles }
+}
+
+// Helper function to decode an image as displayed into 3-channel raw pixels
+async function decodeRaw(buffer) {
+    return sharp(buffer)
+        .rotate()
+        .flatten({ background: { r: 255, g: 255, b: 255 } })
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+}
+
+// Split an image into overlapping PNG tiles.
+// Returns { width, height, rows, columns, tiles } where every tile carries
+// its grid position, its pixel rectangle and its PNG `buffer`.
+export async function splitIntoTiles(imageBuffer, options) {
+    const { data, info } = await decodeRaw(imageBuffer)
+    const plan = planTiles(info.width, info.height, options)
+    const raw = {
+        raw: {
+            width: info.width,
+            height: info.height,
+            channels: info.channels,
+        },
+    }
+
+    const tiles = []
+    for (const tile of plan.tiles) {
+        const buffer = await sharp(data, raw)
+            .extract({
+                left: tile.left,
+                top: tile.top,
+                width: tile.width,
+                height: tile.height,
+            })
+            .png()
+            .toBuffer()
+        tiles.push({ ...tile, buffer })
+    }
+
+    return { width: info.width, height: info.height, ...plan, tiles }
+}
+
+// Blend processed tiles back into the full-resolution image.
+// Tiles are laid down in grid order. Each edge fades in over `overlap`
+// pixels, except at the image border and where the next tile to the right or
+// below is processed too: that tile fades in over this one instead, so the
+// seams cross-fade between processed tiles and into the original elsewhere.
+export async function blendTiles(imageBuffer, processedTiles, { overlap }) {
+    const { data, info } = await decodeRaw(imageBuffer)
+    const { width, height, channels } = info
+    const output = Buffer.from(data)
+
+    const processed = new Set(
+        processedTiles.map(({ tile }) => `${tile.row}:${tile.column}`)
+    )
+    const ordered = [...processedTiles].sort(
+        (a, b) => a.tile.row - b.tile.row || a.tile.column - b.tile.column
+    )
+
+    for (const { tile, buffer } of ordered) {
+        const pixels = await sharp(buffer)
+            .resize(tile.width, tile.height, { fit: 'fill' })
+            .removeAlpha()
+            .toColourspace('srgb')
+            .raw()
+            .toBuffer()
+
+        const fadeLeft = tile.left > 0
+        const fadeTop = tile.top > 0
+        const fadeRight =
+            tile.left + tile.width < width &&
+            !processed.has(`${tile.row}:${tile.column + 1}`)
+        const fadeBottom =
+            tile.top + tile.height < height &&
+            !processed.has(`${tile.row + 1}:${tile.column}`)
+
+        const ramp = (distance, fades) =>
+            fades ? Math.min(1, (distance + 0.5) / overlap) : 1
+
+        for (let y = 0; y < tile.height; y++) {
+            const rowWeight = Math.min(
+                ramp(y, fadeTop),
+                ramp(tile.height - 1 - y, fadeBottom)
+            )
+            for (let x = 0; x < tile.width; x++) {
+                const weight = Math.min(
+                    rowWeight,
+                    ramp(x, fadeLeft),
+                    ramp(tile.width - 1 - x, fadeRight)
+                )
+                const source = (y * tile.width + x) * 3
+                const target =
+                    ((tile.top + y) * width + tile.left + x) * channels
+                for (let channel = 0; channel < 3; channel++) {
+                    const base = output[target + channel]
+                    output[target + channel] = Math.round(
+                        base + (pixels[source + channel] - base) * weight
+                    )
+                }
+            }
+        }
+    }
+
+    return sharp(output, { raw: { width, height, channels } }).png().toBuffer()
+}
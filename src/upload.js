@@ -0,0 +1,163 @@
+import * as path from 'path'
+import sharp from 'sharp'
+import { sniffImageFormat } from './sniff.js'
+import { AppError } from './errors.js'
+
+const MB = 1024 * 1024
+
+// Sniffed formats sharp can decode, with the extensions naming the same one
+const DECODABLE_FORMATS = {
+    '.jpg': ['.jpg', '.jpeg'],
+    '.png': ['.png'],
+    '.webp': ['.webp'],
+    '.gif': ['.gif'],
+    '.tiff': ['.tiff', '.tif'],
+    '.avif': ['.avif'],
+    '.svg': ['.svg'],
+}
+
+const SUPPORTED_FORMATS = 'PNG, JPG, WebP, SVG, GIF, TIFF, AVIF'
+
+// Elements that can run code, embed other documents or change attributes
+const UNSAFE_SVG_ELEMENTS =
+    'script|foreignObject|iframe|embed|object|set|animate\\w*'
+
+// Error for an upload that fails validation (see ERROR_STATUS in errors.js)
+export class UploadError extends AppError {
+    constructor(code, message, status) {
+        super(code, message, { status })
+        this.name = 'UploadError'
+    }
+}
+
+// Read upload limits from the environment; 0 turns a limit off
+export function getUploadLimits(env = process.env) {
+    const number = (value, fallback) =>
+        value === undefined || value === '' || isNaN(Number(value))
+            ? fallback
+            : Number(value)
+
+    return {
+        maxBytes: number(env.UPLOAD_MAX_MB, 20) * MB,
+        maxRequestBytes: number(env.UPLOAD_MAX_REQUEST_MB, 100) * MB,
+        maxPixels: number(env.UPLOAD_MAX_PIXELS, 40000000),
+        allowAnimated: env.UPLOAD_ALLOW_ANIMATED === 'true',
+    }
+}
+
+// Error for a file over maxBytes, also used for ZIP entries that are never
+// inflated
+export function fileTooLargeError(size, maxBytes) {
+    return new UploadError(
+        'FILE_TOO_LARGE',
+        `File is ${size} bytes. The maximum is ${maxBytes} bytes.`,
+        413
+    )
+}
+
+// Remove what could make librsvg run code or read other files while it
+// rasterises an SVG: DOCTYPEs (entity declarations), scripts and embedded
+// documents, event handlers, and links or url() references to anything but
+// the document itself and embedded bitmaps
+export function sanitizeSvg(buffer) {
+    const isLocal = (target) =>
+        target.startsWith('#') ||
+        /^data:image\/(png|jpeg|gif|webp);/i.test(target)
+
+    const svg = buffer
+        .toString('utf-8')
+        .replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\]\s*)?>/gi, '')
+        .replace(/<!ENTITY[\s\S]*?>/gi, '')
+        .replace(
+            new RegExp(
+                `<(${UNSAFE_SVG_ELEMENTS})\\b(?:[^>]*[^/>])?>[\\s\\S]*?<\\/\\1\\s*>`,
+                'gi'
+            ),
+            ''
+        )
+        .replace(new RegExp(`<(${UNSAFE_SVG_ELEMENTS})\\b[^>]*\\/>`, 'gi'), '')
+        .replace(/\son[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+        .replace(
+            /\s(xlink:)?href\s*=\s*("[^"]*"|'[^']*')/gi,
+            (attribute, prefix, value) =>
+                isLocal(value.slice(1, -1).trim()) ? attribute : ''
+        )
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(
+            /url\(\s*(['"]?)\s*([^'")]*)\1\s*\)/gi,
+            (reference, quote, target) => (isLocal(target) ? reference : 'none')
+        )
+    return Buffer.from(svg, 'utf-8')
+}
+
+// Check an uploaded image by its contents rather than its name: its size,
+// its real format, its pixel count and whether it has several frames.
+// SVGs are sanitised. Resolves to { buffer, filename, format, width,
+// height, pages }, where buffer is the image to process (the sanitised SVG)
+// and filename carries the sniffed format's extension. Throws an
+// UploadError otherwise.
+export async function validateImageUpload(
+    buffer,
+    filename,
+    { maxBytes = 0, maxPixels = 0, allowAnimated = false } = {}
+) {
+    if (maxBytes && buffer.length > maxBytes) {
+        throw fileTooLargeError(buffer.length, maxBytes)
+    }
+
+    const format = sniffImageFormat(buffer)
+    if (!format || !DECODABLE_FORMATS[format]) {
+        throw new UploadError(
+            'UNSUPPORTED_FORMAT',
+            `File content is not a supported image. Supported formats: ${SUPPORTED_FORMATS}`,
+            415
+        )
+    }
+
+    const image = format === '.svg' ? sanitizeSvg(buffer) : buffer
+
+    let metadata
+    try {
+        metadata = await sharp(image, {
+            limitInputPixels: maxPixels || false,
+        }).metadata()
+    } catch (error) {
+        if (/pixel limit/i.test(error.message)) {
+            throw new UploadError(
+                'IMAGE_TOO_LARGE',
+                `Image has more than the maximum of ${maxPixels} pixels`,
+                413
+            )
+        }
+        throw new UploadError(
+            'INVALID_IMAGE',
+            `Image could not be read: ${error.message}`,
+            400
+        )
+    }
+
+    const pages = metadata.pages || 1
+    if (pages > 1 && !allowAnimated) {
+        throw new UploadError(
+            'ANIMATED_IMAGE',
+            `Animated and multi-page images are not supported (${pages} frames)`,
+            415
+        )
+    }
+
+    // Name the file after what it is, so the pipeline converts it correctly
+    const name = filename || 'image'
+    const ext = path.extname(name)
+    const resolvedName = DECODABLE_FORMATS[format].includes(ext.toLowerCase())
+        ? name
+        : `${path.basename(name, ext) || 'image'}${format}`
+
+    return {
+        buffer: image,
+        filename: resolvedName,
+        format,
+        width: metadata.width,
+        height: metadata.height,
+        pages,
+    }
+}
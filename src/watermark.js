@@ -0,0 +1,295 @@
+import sharp from 'sharp'
+import { OUTPUT_FORMATS } from './output.js'
+
+export const WATERMARK_POSITIONS = [
+    'top-left',
+    'top-right',
+    'bottom-left',
+    'bottom-right',
+    'center',
+    'tiled',
+]
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 }
+
+// Longest watermark text accepted, so one request cannot make Pango render
+// an enormous bitmap
+const MAX_TEXT_LENGTH = 200
+
+// Helper function to read a number option within a range
+function numberOption(value, name, fallback, min, max) {
+    if (value === undefined || value === null || value === '') {
+        return fallback
+    }
+    const number = Number(value)
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`${name} must be a number between ${min} and ${max}`)
+    }
+    return number
+}
+
+// Validate and normalise add-watermark options from request fields.
+// scale is the mark width and margin the edge offset, both as a fraction of
+// the image size, so the same request works for any resolution.
+export function normalizeWatermarkOptions(fields) {
+    const text = typeof fields.text === 'string' ? fields.text.trim() : ''
+    if (!text && !fields.logo) {
+        throw new Error('Provide either text or a logo image for the watermark')
+    }
+    if (text && fields.logo) {
+        throw new Error('Provide either text or a logo image, not both')
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+        throw new Error(
+            `Watermark text must be at most ${MAX_TEXT_LENGTH} characters`
+        )
+    }
+
+    const position = fields.position || 'bottom-right'
+    if (!WATERMARK_POSITIONS.includes(position)) {
+        throw new Error(
+            `Invalid position. Supported positions: ${WATERMARK_POSITIONS.join(
+                ', '
+            )}`
+        )
+    }
+
+    // Font and colour end up in Pango markup, so only allow plain values
+    const font = fields.font || 'sans-serif'
+    if (!/^[\w\s,-]+$/.test(font)) {
+        throw new Error('Invalid font name')
+    }
+    const color = fields.color || '#ffffff'
+    if (!/^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i.test(color)) {
+        throw new Error('Invalid color. Use a hex color such as #ffffff')
+    }
+
+    return {
+        text: text || null,
+        logo: fields.logo || null,
+        font,
+        color,
+        fontSize: numberOption(fields.fontSize, 'fontSize', null, 1, 2000),
+        opacity: numberOption(fields.opacity, 'opacity', 0.5, 0, 1),
+        rotation: numberOption(
+            fields.rotation,
+            'rotation',
+            position === 'tiled' ? -30 : 0,
+            -360,
+            360
+        ),
+        position,
+        margin: numberOption(fields.margin, 'margin', 0.03, 0, 0.5),
+        scale: numberOption(fields.scale, 'scale', 0.25, 0.01, 1),
+    }
+}
+
+function escapeMarkup(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+}
+
+// Helper function to render the text mark as a transparent PNG
+async function renderTextMark(
+    { text, font, fontSize, color },
+    imageWidth,
+    scale
+) {
+    // Without an explicit size, aim for a mark roughly scale * image width
+    // wide, assuming an average glyph width of 0.6em
+    const size =
+        fontSize ||
+        Math.max(8, Math.round((imageWidth * scale) / (text.length * 0.6)))
+
+    return sharp({
+        text: {
+            text: `<span foreground="${color}">${escapeMarkup(text)}</span>`,
+            font: `${font} ${size}`,
+            dpi: 72,
+            rgba: true,
+        },
+    })
+        .png()
+        .toBuffer()
+}
+
+// Helper function to scale a logo to scale * image width
+async function renderLogoMark(logo, imageWidth, scale) {
+    return sharp(logo)
+        .resize({ width: Math.max(1, Math.round(imageWidth * scale)) })
+        .ensureAlpha()
+        .png()
+        .toBuffer()
+}
+
+// Helper function to multiply a mark's alpha channel by the opacity
+async function applyOpacity(mark, opacity) {
+    const { width, height } = await sharp(mark).metadata()
+    return sharp(mark)
+        .ensureAlpha()
+        .composite([
+            {
+                input: {
+                    create: {
+                        width,
+                        height,
+                        channels: 4,
+                        background: { r: 0, g: 0, b: 0, alpha: opacity },
+                    },
+                },
+                blend: 'dest-in',
+            },
+        ])
+        .png()
+        .toBuffer()
+}
+
+// Helper function to build a full-size overlay of the mark repeated on a
+// rotated grid
+async function renderTiledOverlay(mark, width, height, rotation) {
+    // Keep each repetition inside the image, as corner placement does
+    let markMetadata = await sharp(mark).metadata()
+    if (markMetadata.width > width || markMetadata.height > height) {
+        mark = await sharp(mark)
+            .resize(width, height, { fit: 'inside' })
+            .png()
+            .toBuffer()
+        markMetadata = await sharp(mark).metadata()
+    }
+
+    // Leave space between repetitions so the image stays readable
+    let tile = await sharp(mark)
+        .extend({
+            right: Math.round(markMetadata.width * 0.5),
+            bottom: Math.round(markMetadata.height * 1.5),
+            background: TRANSPARENT,
+        })
+        .png()
+        .toBuffer()
+
+    // Tile a square covering the image at any angle, rotate it, then crop.
+    // sharp refuses tiles larger than the canvas, so shrink the tile to fit.
+    const diagonal = Math.ceil(Math.sqrt(width * width + height * height))
+    const tileMetadata = await sharp(tile).metadata()
+    if (tileMetadata.width > diagonal || tileMetadata.height > diagonal) {
+        tile = await sharp(tile)
+            .resize(diagonal, diagonal, { fit: 'inside' })
+            .png()
+            .toBuffer()
+    }
+    const tiled = await sharp({
+        create: {
+            width: diagonal,
+            height: diagonal,
+            channels: 4,
+            background: TRANSPARENT,
+        },
+    })
+        .composite([{ input: tile, tile: true, top: 0, left: 0 }])
+        .png()
+        .toBuffer()
+
+    const rotated = await sharp(tiled)
+        .rotate(rotation, { background: TRANSPARENT })
+        .png()
+        .toBuffer({ resolveWithObject: true })
+
+    return sharp(rotated.data)
+        .extract({
+            left: Math.floor((rotated.info.width - width) / 2),
+            top: Math.floor((rotated.info.height - height) / 2),
+            width,
+            height,
+        })
+        .png()
+        .toBuffer()
+}
+
+// Add a visible text or logo watermark to an image.
+// Returns { buffer, mimeType, extension }. Images with an alpha channel keep
+// it: the mark is blended "atop" so it never paints over transparent areas.
+export async function addWatermark(imageBuffer, options) {
+    const metadata = await sharp(imageBuffer).metadata()
+
+    // EXIF orientations 5-8 swap width and height once auto-rotated
+    const rotatedByExif = metadata.orientation >= 5
+    const width = rotatedByExif ? metadata.height : metadata.width
+    const height = rotatedByExif ? metadata.width : metadata.height
+    const hasAlpha = metadata.hasAlpha || false
+
+    let mark = options.text
+        ? await renderTextMark(options, width, options.scale)
+        : await renderLogoMark(options.logo, width, options.scale)
+
+    if (options.opacity < 1) {
+        mark = await applyOpacity(mark, options.opacity)
+    }
+
+    let overlay
+    if (options.position === 'tiled') {
+        overlay = {
+            input: await renderTiledOverlay(
+                mark,
+                width,
+                height,
+                options.rotation
+            ),
+            top: 0,
+            left: 0,
+        }
+    } else {
+        if (options.rotation) {
+            mark = await sharp(mark)
+                .rotate(options.rotation, { background: TRANSPARENT })
+                .png()
+                .toBuffer()
+        }
+
+        // Keep the mark inside the image, margins included
+        const margin = Math.round(Math.min(width, height) * options.margin)
+        const maxWidth = Math.max(1, width - margin * 2)
+        const maxHeight = Math.max(1, height - margin * 2)
+        let markMetadata = await sharp(mark).metadata()
+        if (markMetadata.width > maxWidth || markMetadata.height > maxHeight) {
+            mark = await sharp(mark)
+                .resize(maxWidth, maxHeight, { fit: 'inside' })
+                .png()
+                .toBuffer()
+            markMetadata = await sharp(mark).metadata()
+        }
+
+        const positions = {
+            'top-left': [margin, margin],
+            'top-right': [width - markMetadata.width - margin, margin],
+            'bottom-left': [margin, height - markMetadata.height - margin],
+            'bottom-right': [
+                width - markMetadata.width - margin,
+                height - markMetadata.height - margin,
+            ],
+            center: [
+                (width - markMetadata.width) / 2,
+                (height - markMetadata.height) / 2,
+            ],
+        }
+        const [left, top] = positions[options.position]
+        overlay = {
+            input: mark,
+            left: Math.max(0, Math.round(left)),
+            top: Math.max(0, Math.round(top)),
+        }
+    }
+
+    // Output in the input's format where sharp can write it, otherwise PNG
+    const output = OUTPUT_FORMATS[metadata.format] || OUTPUT_FORMATS.png
+    const buffer = await sharp(imageBuffer)
+        .rotate()
+        .composite([{ ...overlay, blend: hasAlpha ? 'atop' : 'over' }])
+        .toFormat(output.format)
+        .toBuffer()
+
+    return { buffer, mimeType: output.mimeType, extension: output.extension }
+}
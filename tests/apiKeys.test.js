@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { createApiKeyStore } from '../src/apiKeys.js'
+
+// Helper function to create a key store in a fresh directory
+function createStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'))
+    return { dir, store: createApiKeyStore({ dir }) }
+}
+
+describe('createApiKeyStore', () => {
+    it('rejects key details that are not objects as INVALID_INPUT', () => {
+        const { dir, store } = createStore()
+        for (const fields of [
+            null,
+            [],
+            { name: 'team', quotas: null },
+            { name: 'team', quotas: { imagesPerMonth: -1 } },
+        ]) {
+            assert.throws(
+                () => store.create(fields),
+                (error) => error.code === 'INVALID_INPUT'
+            )
+        }
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('reports only charged calls as requests', () => {
+        const { dir, store } = createStore()
+        const key = store.create({ name: 'team' })
+        const entry = { keyId: key.id, keyName: 'team', route: '/api/x' }
+        store.record({ ...entry, outcome: 'success', requests: 1, images: 1 })
+        store.record({ ...entry, outcome: 'rate_limited', requests: 0 })
+        store.record({ ...entry, outcome: 'quota_exceeded', requests: 0 })
+
+        const [usage] = store.usage({ keyId: key.id })
+        assert.equal(usage.requests, 1)
+        assert.equal(usage.rateLimited, 1)
+        assert.equal(usage.quotaExceeded, 1)
+
+        // Totals rebuilt from the ledger agree with the report
+        const [rebuilt] = createApiKeyStore({ dir }).list()
+        assert.deepEqual(rebuilt.usageThisMonth, { requests: 1, images: 1 })
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+})
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { AppError, errorBody, toAppError } from '../src/errors.js'
+import { downloadImage } from '../src/download.js'
+import { UploadError } from '../src/upload.js'
+
+describe('AppError', () => {
+    it('takes its status from the code', () => {
+        assert.equal(new AppError('INVALID_INPUT', 'Bad').status, 400)
+        assert.equal(new AppError('CONTENT_BLOCKED', 'Blocked').status, 422)
+        assert.equal(new AppError('UPSTREAM_RATE_LIMITED').status, 503)
+        assert.equal(new AppError('SOMETHING_NEW', 'New').status, 500)
+        assert.equal(
+            new AppError('INVALID_INPUT', 'Bad', { status: 422 }).status,
+            422
+        )
+    })
+
+    it('uses a generic message for codes hiding their details', () => {
+        assert.equal(
+            new AppError('UPSTREAM_ERROR').message,
+            'The AI provider could not process the image.'
+        )
+    })
+
+    it('is the base of upload errors', () => {
+        const error = new UploadError('FILE_TOO_LARGE', 'Too big', 413)
+        assert.ok(error instanceof AppError)
+        assert.deepEqual(errorBody(error), {
+            success: false,
+            error: 'Too big',
+            code: 'FILE_TOO_LARGE',
+        })
+    })
+})
+
+describe('toAppError', () => {
+    it('keeps AppErrors as they are', () => {
+        const error = new AppError('NOT_FOUND', 'Job not found')
+        assert.equal(toAppError(error), error)
+    })
+
+    it('hides the message of other errors', () => {
+        const cause = new Error('ENOENT: no such file, open /srv/app/uploads/x')
+        const error = toAppError(cause, 'REMOVAL_FAILED')
+        assert.equal(error.code, 'REMOVAL_FAILED')
+        assert.equal(error.status, 500)
+        assert.doesNotMatch(error.message, /ENOENT/)
+        assert.equal(error.cause, cause)
+        assert.equal(toAppError(cause).code, 'INTERNAL')
+    })
+})
+
+describe('downloadImage', () => {
+    it('rejects URLs it will not fetch as INVALID_INPUT', async () => {
+        for (const url of [
+            'not a url',
+            'ftp://example.com/a.png',
+            'http://127.0.0.1/a.png',
+        ]) {
+            await assert.rejects(downloadImage(url), (error) => {
+                assert.equal(error.code, 'INVALID_INPUT')
+                assert.equal(error.status, 400)
+                return true
+            })
+        }
+    })
+})
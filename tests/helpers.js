@@ -0,0 +1,120 @@
+import sharp from 'sharp'
+import { createPipeline } from '../src/pipeline.js'
+import { getQualityConfig } from '../src/quality.js'
+import { getTilingConfig } from '../src/tiles.js'
+
+// Helper function to create a solid image, with an alpha channel when the
+// color has one (e.g. { r: 255, g: 0, b: 0, alpha: 0.5 })
+export function solidImage(width, height, color = { r: 40, g: 90, b: 160 }) {
+    return sharp({
+        create: {
+            width,
+            height,
+            channels: color.alpha === undefined ? 3 : 4,
+            background: color,
+        },
+    })
+}
+
+// Helper function to create an image whose left half is opaque and right
+// half fully transparent, to check where the alpha channel ends up
+export async function halfTransparentPng(width, height) {
+    const opaque = await solidImage(Math.floor(width / 2), height, {
+        r: 200,
+        g: 30,
+        b: 30,
+        alpha: 1,
+    })
+        .png()
+        .toBuffer()
+    return solidImage(width, height, { r: 0, g: 0, b: 0, alpha: 0 })
+        .composite([{ input: opaque, left: 0, top: 0 }])
+        .png()
+        .toBuffer()
+}
+
+// Helper function to read the alpha value of one pixel
+export async function alphaAt(buffer, x, y) {
+    const { data, info } = await sharp(buffer)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true })
+    return data[(y * info.width + x) * info.channels + 3]
+}
+
+// Stand-in for a model client. Each call to detect or remove takes the next
+// queued answer: a value is returned, an Error is thrown. Calls are recorded.
+export function createStubProvider({ detect = [], remove = [] } = {}) {
+    const calls = { detect: [], remove: [] }
+    const next = (queue, operation) => {
+        if (queue.length === 0) {
+            throw new Error(`Unexpected ${operation} call`)
+        }
+        const answer = queue.shift()
+        if (answer instanceof Error) {
+            throw answer
+        }
+        return answer
+    }
+
+    return {
+        name: 'stub',
+        models: { detect: 'stub', remove: 'stub' },
+        capabilities: {
+            detect: true,
+            remove: true,
+            imageOutput: true,
+            requiresNetwork: false,
+            rateLimited: false,
+        },
+        credentials: { env: null, configured: true },
+        calls,
+
+        async detect(imageBuffer, mimeType, prompt) {
+            calls.detect.push({ imageBuffer, mimeType, prompt })
+            return next(detect, 'detect')
+        },
+
+        async remove(imageBuffer, mimeType, prompt) {
+            calls.remove.push({ imageBuffer, mimeType, prompt })
+            return next(remove, 'remove')
+        },
+    }
+}
+
+// Helper function to build a provider removal response
+export function removalResponse({ parts, finishReason = 'STOP' }) {
+    return {
+        candidates: [
+            parts ? { content: { parts }, finishReason } : { finishReason },
+        ],
+    }
+}
+
+// Clock for the retry tests: sleep resolves at once and records how long
+// the pipeline asked to wait
+export function createFakeClock() {
+    const waits = []
+    return {
+        waits,
+        async sleep(ms) {
+            waits.push(ms)
+        },
+    }
+}
+
+// Pipeline with the default settings (ignoring the environment) and no
+// network: the provider defaults to a stub with no answers queued
+export function createTestPipeline({
+    provider = createStubProvider(),
+    sleep = createFakeClock().sleep,
+    log = () => {},
+} = {}) {
+    return createPipeline({
+        provider,
+        qualityConfig: getQualityConfig({}),
+        tilingConfig: getTilingConfig({}),
+        log,
+        sleep,
+    })
+}
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { createJobQueue } from '../src/jobs.js'
+
+describe('createJobQueue', () => {
+    it('prunes finished jobs older than the given age', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'))
+        const queue = createJobQueue({
+            dir,
+            handler: async ({ fail }) => {
+                if (fail) {
+                    throw new Error('Failed')
+                }
+                return { ok: true }
+            },
+        })
+        queue.start()
+
+        const done = queue.enqueue({})
+        const failed = queue.enqueue({ fail: true })
+        await queue.waitFor(failed.id)
+        const recent = queue.enqueue({})
+        await queue.waitFor(recent.id)
+
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString()
+        done.completedAt = hourAgo
+        failed.completedAt = hourAgo
+
+        assert.equal(queue.prune(0).deleted, 0)
+        assert.equal(queue.prune(60 * 1000).deleted, 2)
+        assert.equal(queue.get(done.id), null)
+        assert.equal(queue.get(failed.id), null)
+        assert.ok(queue.get(recent.id))
+        assert.equal(queue.stats().total, 1)
+        assert.deepEqual(fs.readdirSync(dir), [`${recent.id}.json`])
+
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+})
@@ -0,0 +1,376 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { encodeOutput } from '../src/output.js'
+import { isValidImageType, sanitizeFilename } from '../src/pipeline.js'
+import {
+    alphaAt,
+    createTestPipeline,
+    halfTransparentPng,
+    solidImage,
+} from './helpers.js'
+
+const OPAQUE = { r: 40, g: 90, b: 160 }
+const TRANSLUCENT = { r: 40, g: 90, b: 160, alpha: 0.5 }
+
+// Encoders for every input format sharp can write. TIFF uses LZW because
+// sharp's default JPEG compression drops the alpha channel.
+const ENCODERS = {
+    '.webp': (image) => image.webp(),
+    '.gif': (image) => image.gif(),
+    '.tiff': (image) => image.tiff({ compression: 'lzw' }),
+    '.tif': (image) => image.tiff({ compression: 'lzw' }),
+    '.avif': (image) => image.avif(),
+}
+
+// Helper function to encode a small solid image for an extension
+function encode(ext, color) {
+    return ENCODERS[ext](solidImage(16, 16, color)).toBuffer()
+}
+
+// Helper function to build an SVG, filled edge to edge or not
+function svg(filled) {
+    const shape = filled
+        ? '<rect width="16" height="16" fill="#2a5aa0"/>'
+        : '<circle cx="8" cy="8" r="4" fill="#2a5aa0"/>'
+    return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16">${shape}</svg>`
+    )
+}
+
+describe('sanitizeFilename', () => {
+    it('replaces unsafe characters with single dashes', () => {
+        assert.equal(sanitizeFilename('my photo (1).jpg'), 'my-photo-1.jpg')
+        assert.equal(sanitizeFilename('a b\\c?.png'), 'a-b-c.png')
+    })
+
+    it('keeps dashes, underscores and the extension', () => {
+        assert.equal(
+            sanitizeFilename('shot_01-final.WEBP'),
+            'shot_01-final.WEBP'
+        )
+    })
+
+    it('trims leading and trailing dashes', () => {
+        assert.equal(sanitizeFilename('--hello!!.gif'), 'hello.gif')
+    })
+
+    it('keeps only the base name of a path', () => {
+        assert.equal(sanitizeFilename('../../etc/passwd.png'), 'passwd.png')
+    })
+
+    it('falls back to "image" when nothing is left', () => {
+        assert.equal(sanitizeFilename('###.png'), 'image.png')
+        assert.equal(sanitizeFilename('日本語.jpg'), 'image.jpg')
+    })
+})
+
+describe('isValidImageType', () => {
+    it('accepts every supported extension in any case', () => {
+        for (const ext of [
+            '.png',
+            '.jpg',
+            '.jpeg',
+            '.webp',
+            '.svg',
+            '.gif',
+            '.tiff',
+            '.tif',
+            '.avif',
+        ]) {
+            assert.ok(isValidImageType(`photo${ext}`), ext)
+            assert.ok(isValidImageType(`photo${ext.toUpperCase()}`), ext)
+        }
+    })
+
+    it('rejects other and missing extensions', () => {
+        for (const name of [
+            'photo.heic',
+            'photo.bmp',
+            'photo.pdf',
+            'photo.jpg.exe',
+            'photo',
+            'png',
+            '',
+        ]) {
+            assert.equal(isValidImageType(name), false, name)
+        }
+    })
+})
+
+describe('convertToSupportedFormat', () => {
+    const pipeline = createTestPipeline()
+
+    for (const ext of ['.jpg', '.jpeg']) {
+        it(`passes ${ext} through unchanged`, async () => {
+            const input = await solidImage(16, 16).jpeg().toBuffer()
+            const result = await pipeline.convertToSupportedFormat(
+                input,
+                `photo${ext}`
+            )
+            assert.equal(result.buffer, input)
+            assert.equal(result.filename, `photo${ext}`)
+            assert.equal(result.converted, false)
+            assert.equal(result.hasTransparency, false)
+        })
+    }
+
+    it('passes an opaque .png through unchanged', async () => {
+        const input = await solidImage(16, 16, OPAQUE).png().toBuffer()
+        const result = await pipeline.convertToSupportedFormat(
+            input,
+            'photo.png'
+        )
+        assert.equal(result.buffer, input)
+        assert.equal(result.converted, false)
+        assert.equal(result.hasTransparency, false)
+    })
+
+    it('flattens a .png with alpha but keeps the original', async () => {
+        const input = await solidImage(16, 16, TRANSLUCENT).png().toBuffer()
+        const result = await pipeline.convertToSupportedFormat(
+            input,
+            'photo.png'
+        )
+        const metadata = await sharp(result.buffer).metadata()
+        assert.equal(result.filename, 'photo.png')
+        assert.equal(result.converted, true)
+        assert.equal(result.hasTransparency, true)
+        assert.equal(result.originalBuffer, input)
+        assert.equal(metadata.format, 'png')
+        assert.equal(metadata.hasAlpha, false)
+    })
+
+    for (const ext of Object.keys(ENCODERS)) {
+        it(`converts an opaque ${ext} to PNG`, async () => {
+            const input = await encode(ext, OPAQUE)
+            const result = await pipeline.convertToSupportedFormat(
+                input,
+                `photo${ext}`
+            )
+            const metadata = await sharp(result.buffer).metadata()
+            assert.equal(result.filename, 'photo.png')
+            assert.equal(result.converted, true)
+            assert.equal(result.originalFormat, ext)
+            assert.equal(metadata.format, 'png')
+            assert.equal(metadata.hasAlpha, false)
+            assert.equal(metadata.width, 16)
+            // GIFs always decode with an alpha channel
+            assert.equal(result.hasTransparency, ext === '.gif')
+            assert.equal(result.originalBuffer, ext === '.gif' ? input : null)
+        })
+
+        it(`converts a ${ext} with alpha to PNG and keeps the original`, async () => {
+            const input = await encode(ext, TRANSLUCENT)
+            const result = await pipeline.convertToSupportedFormat(
+                input,
+                `photo${ext}`
+            )
+            const metadata = await sharp(result.buffer).metadata()
+            assert.equal(result.filename, 'photo.png')
+            assert.equal(result.converted, true)
+            assert.equal(result.hasTransparency, true)
+            assert.equal(result.originalBuffer, input)
+            assert.equal(metadata.format, 'png')
+            assert.equal(metadata.hasAlpha, false)
+        })
+    }
+
+    for (const filled of [true, false]) {
+        it(`renders ${filled ? 'a filled' : 'a transparent'} .svg to PNG`, async () => {
+            const input = svg(filled)
+            const result = await pipeline.convertToSupportedFormat(
+                input,
+                'logo.svg'
+            )
+            const metadata = await sharp(result.buffer).metadata()
+            assert.equal(result.filename, 'logo.png')
+            assert.equal(result.converted, true)
+            // SVGs are always rendered with an alpha channel
+            assert.equal(result.hasTransparency, true)
+            assert.equal(result.originalBuffer, input)
+            assert.equal(metadata.format, 'png')
+            assert.equal(metadata.hasAlpha, false)
+            assert.deepEqual([metadata.width, metadata.height], [16, 16])
+        })
+    }
+
+    it('rejects .bmp, which sharp cannot decode', async () => {
+        // Smallest valid BMP: one 24-bit pixel
+        const bmp = Buffer.alloc(58)
+        bmp.write('BM', 0)
+        bmp.writeUInt32LE(58, 2)
+        bmp.writeUInt32LE(54, 10)
+        bmp.writeUInt32LE(40, 14)
+        bmp.writeInt32LE(1, 18)
+        bmp.writeInt32LE(1, 22)
+        bmp.writeUInt16LE(1, 26)
+        bmp.writeUInt16LE(24, 28)
+        await assert.rejects(
+            pipeline.convertToSupportedFormat(bmp, 'photo.bmp'),
+            /^Error: Failed to convert image/
+        )
+    })
+
+    it('rejects data that is not the named format', async () => {
+        await assert.rejects(
+            pipeline.convertToSupportedFormat(
+                Buffer.from('not an image'),
+                'photo.webp'
+            ),
+            /^Error: Failed to convert image/
+        )
+    })
+})
+
+describe('reapplyTransparency', () => {
+    const warnings = []
+    const pipeline = createTestPipeline({
+        log: (message, type) => type === 'warn' && warnings.push(message),
+    })
+
+    // The original's left half is opaque and its right half transparent
+    async function reapply(original, processedWidth, processedHeight) {
+        warnings.length = 0
+        const processed = await solidImage(processedWidth, processedHeight)
+            .png()
+            .toBuffer()
+        const result = await pipeline.reapplyTransparency(
+            processed,
+            original,
+            '.png'
+        )
+        const metadata = await sharp(result).metadata()
+        assert.equal(metadata.format, 'png')
+        assert.equal(metadata.hasAlpha, true)
+        assert.deepEqual(
+            [metadata.width, metadata.height],
+            [processedWidth, processedHeight]
+        )
+        return result
+    }
+
+    it('stretches the alpha channel when the aspect ratio is kept', async () => {
+        const result = await reapply(await halfTransparentPng(40, 20), 80, 40)
+        assert.deepEqual(warnings, [])
+        assert.equal(await alphaAt(result, 10, 20), 255)
+        assert.equal(await alphaAt(result, 70, 20), 0)
+    })
+
+    it('letterboxes the alpha channel for a significant ratio change', async () => {
+        // 40x40 to 40x28: the ratios differ by 0.3
+        const result = await reapply(await halfTransparentPng(40, 40), 40, 28)
+        assert.match(warnings.join(), /Significant aspect ratio difference/)
+        // The alpha is scaled to 28x28 and centred, leaving clear bands
+        assert.equal(await alphaAt(result, 2, 14), 0)
+        assert.equal(await alphaAt(result, 10, 14), 255)
+        assert.equal(await alphaAt(result, 30, 14), 0)
+    })
+
+    it('fits the whole original for an extreme ratio change', async () => {
+        // 40x40 to 80x20: the ratios differ by 1.5
+        const result = await reapply(await halfTransparentPng(40, 40), 80, 20)
+        assert.match(warnings.join(), /Extreme aspect ratio difference/)
+        // The original is scaled to 20x20 in the middle of the 80x20 result
+        assert.equal(await alphaAt(result, 5, 10), 0)
+        assert.equal(await alphaAt(result, 35, 10), 255)
+        assert.equal(await alphaAt(result, 45, 10), 0)
+    })
+
+    it('returns the processed image when the original has no alpha', async () => {
+        const original = await solidImage(16, 16).png().toBuffer()
+        const processed = await solidImage(16, 16).png().toBuffer()
+        assert.equal(
+            await pipeline.reapplyTransparency(processed, original, '.png'),
+            processed
+        )
+    })
+
+    it('returns the processed image when the original is unreadable', async () => {
+        const processed = await solidImage(16, 16).png().toBuffer()
+        assert.equal(
+            await pipeline.reapplyTransparency(
+                processed,
+                Buffer.from('broken'),
+                '.png'
+            ),
+            processed
+        )
+    })
+})
+
+describe('isImageMostlyWhite', () => {
+    const pipeline = createTestPipeline()
+    const white = { r: 255, g: 255, b: 255 }
+
+    // Helper function to draw a dark block over part of a white image
+    async function whiteWithBlock(blockWidth) {
+        const block = await solidImage(blockWidth, 100, { r: 0, g: 0, b: 0 })
+            .png()
+            .toBuffer()
+        return solidImage(100, 100, white)
+            .composite([{ input: block, left: 0, top: 0 }])
+            .png()
+            .toBuffer()
+    }
+
+    it('flags white and off-white images', async () => {
+        for (const color of [white, { r: 240, g: 236, b: 245 }]) {
+            const image = await solidImage(32, 32, color).png().toBuffer()
+            assert.equal(await pipeline.isImageMostlyWhite(image), true)
+        }
+    })
+
+    it('flags a white image with an alpha channel', async () => {
+        const image = await solidImage(32, 32, { ...white, alpha: 1 })
+            .png()
+            .toBuffer()
+        assert.equal(await pipeline.isImageMostlyWhite(image), true)
+    })
+
+    it('does not flag coloured or mostly white images with content', async () => {
+        const coloured = await solidImage(32, 32).png().toBuffer()
+        assert.equal(await pipeline.isImageMostlyWhite(coloured), false)
+        assert.equal(
+            await pipeline.isImageMostlyWhite(await whiteWithBlock(30)),
+            false
+        )
+    })
+
+    it('applies the given thresholds', async () => {
+        // 95% of the pixels are white
+        const image = await whiteWithBlock(5)
+        assert.equal(await pipeline.isImageMostlyWhite(image), false)
+        assert.equal(await pipeline.isImageMostlyWhite(image, 0.9, 0.9), true)
+    })
+
+    it('does not flag unreadable images', async () => {
+        assert.equal(
+            await pipeline.isImageMostlyWhite(Buffer.from('broken')),
+            false
+        )
+    })
+})
+
+describe('encodeOutput', () => {
+    it('returns unprocessed images without metadata untouched', async () => {
+        const source = await solidImage(16, 16).png().toBuffer()
+        const output = await encodeOutput(source, source)
+        assert.equal(output.buffer, source)
+        assert.equal(output.mimeType, 'image/png')
+    })
+
+    it('strips EXIF from unprocessed images for every metadata mode', async () => {
+        const source = await solidImage(16, 16)
+            .jpeg()
+            .withExif({ IFD0: { Copyright: 'ACME Corp', Artist: 'Jane' } })
+            .toBuffer()
+        for (const metadata of ['none', 'icc', 'all']) {
+            const output = await encodeOutput(source, source, { metadata })
+            assert.notEqual(output.buffer, source)
+            assert.equal(output.mimeType, 'image/jpeg')
+            const exif = (await sharp(output.buffer).metadata()).exif
+            assert.ok(!exif || !exif.includes('ACME Corp'), metadata)
+        }
+    })
+})
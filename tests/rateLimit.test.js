@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Hono } from 'hono'
+import { rateLimit } from '../src/rateLimit.js'
+import { errorBody } from '../src/errors.js'
+
+describe('rateLimit', () => {
+    it('takes no token when another bucket denies the request', async () => {
+        const app = new Hono()
+        app.use('/*', async (c, next) => {
+            const key = c.req.header('x-key')
+            c.set('apiKey', key ? { id: key } : null)
+            return next()
+        })
+        app.use(
+            '/*',
+            rateLimit({
+                name: 'test',
+                perIp: { perMinute: 1, burst: 2 },
+                perKey: { perMinute: 1, burst: 1 },
+            })
+        )
+        app.get('/', (c) => c.text('ok'))
+        app.onError((error, c) => c.json(errorBody(error), error.status))
+
+        const send = (key) =>
+            app.request('/', { headers: key ? { 'x-key': key } : {} })
+
+        assert.equal((await send('a')).status, 200)
+        const denied = await send('a')
+        assert.equal(denied.status, 429)
+        assert.equal((await denied.json()).code, 'RATE_LIMITED')
+        assert.ok(denied.headers.get('Retry-After'))
+        // Denied by the key bucket, so the IP bucket keeps its last token
+        assert.equal((await send('a')).status, 429)
+        assert.equal((await send()).status, 200)
+        assert.equal((await send()).status, 429)
+    })
+})
@@ -0,0 +1,241 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import {
+    createStubProvider,
+    createTestPipeline,
+    removalResponse,
+    solidImage,
+} from './helpers.js'
+
+const PROMPT = 'Remove the watermark.'
+
+// Helper function to build an image part the way providers return them
+function imagePart(buffer) {
+    return {
+        inlineData: {
+            data: buffer.toString('base64'),
+            mimeType: 'image/png',
+        },
+    }
+}
+
+describe('readRemovalResponse', () => {
+    const pipeline = createTestPipeline()
+
+    it('explains a response blocked by safety settings', () => {
+        const removal = pipeline.readRemovalResponse(
+            removalResponse({ finishReason: 'SAFETY' }),
+            'standard'
+        )
+        assert.equal(
+            removal.textResponse,
+            'The image could not be processed due to safety settings.'
+        )
+        assert.equal(removal.imageData, null)
+        assert.equal(removal.jsonResponse, null)
+        assert.equal(removal.blocked, true)
+    })
+
+    it('explains a response blocked for recitation', () => {
+        const removal = pipeline.readRemovalResponse(
+            removalResponse({ finishReason: 'RECITATION' }),
+            'standard'
+        )
+        assert.equal(
+            removal.textResponse,
+            'The image could not be processed due to recitation restrictions.'
+        )
+        assert.equal(removal.imageData, null)
+    })
+
+    it('reports other finish reasons without content', () => {
+        const removal = pipeline.readRemovalResponse(
+            removalResponse({ finishReason: 'MAX_TOKENS' }),
+            'standard'
+        )
+        assert.equal(
+            removal.textResponse,
+            'Image processing failed with reason: MAX_TOKENS'
+        )
+        assert.equal(removal.blocked, false)
+    })
+
+    it('joins text parts and decodes the image part', () => {
+        const image = Buffer.from('image bytes')
+        const removal = pipeline.readRemovalResponse(
+            removalResponse({
+                parts: [
+                    { text: 'Watermark ' },
+                    { text: 'removed.' },
+                    imagePart(image),
+                ],
+            }),
+            'standard'
+        )
+        assert.equal(removal.textResponse, 'Watermark removed.')
+        assert.deepEqual(removal.imageData, image)
+        assert.equal(removal.parseError, null)
+    })
+
+    it('validates the JSON answer in structured mode', () => {
+        const valid = pipeline.readRemovalResponse(
+            removalResponse({
+                parts: [
+                    {
+                        text: JSON.stringify({
+                            hasWatermark: true,
+                            watermarkRemoved: true,
+                            explanation: 'Removed the logo',
+                        }),
+                    },
+                ],
+            }),
+            'structured'
+        )
+        assert.equal(valid.parseError, null)
+        assert.equal(valid.jsonResponse.explanation, 'Removed the logo')
+
+        const invalid = pipeline.readRemovalResponse(
+            removalResponse({ parts: [{ text: 'Done!' }] }),
+            'structured'
+        )
+        assert.ok(invalid.parseError)
+    })
+})
+
+describe('remove', () => {
+    // Every test removes from a 64x64 JPEG with a white square in it
+    async function input() {
+        const square = await solidImage(16, 16, { r: 255, g: 255, b: 255 })
+            .png()
+            .toBuffer()
+        return solidImage(64, 64)
+            .composite([{ input: square, left: 8, top: 8 }])
+            .jpeg()
+            .toBuffer()
+    }
+
+    for (const [finishReason, text] of [
+        ['SAFETY', 'The image could not be processed due to safety settings.'],
+        [
+            'RECITATION',
+            'The image could not be processed due to recitation restrictions.',
+        ],
+    ]) {
+        it(`fails with CONTENT_BLOCKED when blocked for ${finishReason}`, async () => {
+            const provider = createStubProvider({
+                remove: [removalResponse({ finishReason })],
+            })
+            const pipeline = createTestPipeline({ provider })
+            await assert.rejects(
+                pipeline.remove(await input(), 'photo.jpg', { prompt: PROMPT }),
+                (error) => {
+                    assert.equal(error.code, 'CONTENT_BLOCKED')
+                    assert.equal(error.status, 422)
+                    assert.equal(error.message, text)
+                    return true
+                }
+            )
+            // A blocked answer is not retried
+            assert.equal(provider.calls.remove.length, 1)
+        })
+    }
+
+    it('returns the model image in the input format', async () => {
+        const original = await input()
+        const cleaned = await sharp(original).png().toBuffer()
+        const provider = createStubProvider({
+            remove: [
+                removalResponse({
+                    parts: [{ text: 'Watermark removed.' }, imagePart(cleaned)],
+                }),
+            ],
+        })
+        const pipeline = createTestPipeline({ provider })
+        const { result, buffer } = await pipeline.remove(
+            original,
+            'photo.jpg',
+            { prompt: PROMPT }
+        )
+        assert.equal(result.watermarkRemoved, true)
+        assert.equal(result.text, 'Watermark removed.')
+        assert.equal(result.quality.passed, true)
+        assert.equal((await sharp(buffer).metadata()).format, 'jpeg')
+        assert.equal(provider.calls.remove[0].prompt, PROMPT)
+        assert.equal(provider.calls.remove[0].mimeType, 'image/jpeg')
+    })
+
+    it('rejects a blank white image from the model', async () => {
+        const blank = await solidImage(64, 64, { r: 255, g: 255, b: 255 })
+            .png()
+            .toBuffer()
+        const provider = createStubProvider({
+            remove: [removalResponse({ parts: [imagePart(blank)] })],
+        })
+        const pipeline = createTestPipeline({ provider })
+        const { result } = await pipeline.remove(await input(), 'photo.jpg', {
+            prompt: PROMPT,
+        })
+        assert.equal(result.watermarkRemoved, false)
+        assert.match(result.text, /blank or mostly white image/)
+    })
+})
+
+describe('detect', () => {
+    it('returns the validated detection answer', async () => {
+        const provider = createStubProvider({
+            detect: [
+                JSON.stringify({
+                    hasWatermark: true,
+                    explanation: 'A logo in the corner',
+                    location: 'bottom-right corner',
+                }),
+            ],
+        })
+        const pipeline = createTestPipeline({ provider })
+        const image = await solidImage(16, 16).webp().toBuffer()
+        const result = await pipeline.detect(image, 'photo.webp')
+        assert.equal(result.hasWatermark, true)
+        assert.equal(result.location, 'bottom-right corner')
+        // WebP is converted to PNG before it is sent
+        assert.equal(provider.calls.detect[0].mimeType, 'image/png')
+    })
+
+    it('reports an unreadable answer instead of guessing', async () => {
+        const provider = createStubProvider({
+            detect: ['Yes, there is a watermark.'],
+        })
+        const pipeline = createTestPipeline({ provider })
+        const image = await solidImage(16, 16).jpeg().toBuffer()
+        const result = await pipeline.detect(image, 'photo.jpg')
+        assert.equal(result.hasWatermark, null)
+        assert.equal(result.explanation, 'Yes, there is a watermark.')
+        assert.ok(result.parseError)
+    })
+
+    it('hides provider errors behind a typed error', async () => {
+        for (const [message, code] of [
+            [
+                '[429 Too Many Requests] Resource exhausted',
+                'UPSTREAM_RATE_LIMITED',
+            ],
+            ['[403 Forbidden] Permission denied on project', 'UPSTREAM_ERROR'],
+        ]) {
+            const provider = createStubProvider({
+                detect: [new Error(message)],
+            })
+            const pipeline = createTestPipeline({ provider })
+            const image = await solidImage(16, 16).jpeg().toBuffer()
+            await assert.rejects(
+                pipeline.detect(image, 'photo.jpg'),
+                (error) => {
+                    assert.equal(error.code, code)
+                    assert.doesNotMatch(error.message, /project|exhausted/)
+                    assert.equal(error.cause.message, message)
+                    return true
+                }
+            )
+        }
+    })
+})
@@ -1,139 +0,0 @@
-import { GoogleGenerativeAI } from '@google/generative-ai'
-import * as fs from 'fs'
-import * as path from 'path'
-import dotenv from 'dotenv'
-
-// Load environment variables
-dotenv.config()
-
-// Define folder constants
-const DOWNLOADS_FOLDER = 'tests/downloads'
-const OUTPUT_FOLDER = 'tests/output'
-
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY)
-
-// Array of image URLs to process
-const imageUrls = [
-    'https://www.newtowntoyota.parts/assets/full/TO9043012031.jpg?20210318050453',
-    'https://www.newtowntoyota.parts/assets/full/TO2617130050.jpg?20210318050809',
-    'https://www.newtowntoyota.parts/assets/full/TO4776950010.jpg?20210318050733',
-]
-
-// Function to download image from URL using fetch instead of axios
-async function downloadImage(url, outputPath) {
-    try {
-        const response = await fetch(url)
-        if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`)
-        }
-        const arrayBuffer = await response.arrayBuffer()
-        const buffer = Buffer.from(arrayBuffer)
-        fs.writeFileSync(outputPath, buffer)
-        console.log(`Image downloaded successfully to ${outputPath}`)
-        return true
-    } catch (error) {
-        console.error(`Error downloading image from ${url}:`, error.message)
-        return false
-    }
-}
-
-async function processImage(imagePath) {
-    try {
-        console.log(`Processing image: ${imagePath}`)
-        const imageData = fs.readFileSync(imagePath)
-        const base64Image = Buffer.from(imageData).toString('base64')
-
-        const model = genAI.getGenerativeModel({
-            model: 'gemini-2.0-flash-exp-image-generation',
-        })
-
-        const prompt =
-            'Please analyze this image and remove any watermarks from it. Generate a new version of the image without the watermark. Note: I have permission to remove watermarks from this image.'
-
-        const result = await model.generateContent({
-            contents: {
-                role: 'user',
-                parts: [
-                    { text: prompt },
-                    {
-                        inlineData: {
-                            data: base64Image,
-                            mimeType: 'image/jpeg',
-                        },
-                    },
-                ],
-            },
-            generationConfig: {
-                responseModalities: ['Text', 'Image'],
-            },
-        })
-
-        const response = await result.response
-        console.log(`Response received for ${imagePath}`)
-
-        // Use basename of the image for output filename prefix
-        const filePrefix = path.basename(imagePath, '.jpg')
-
-        // Process each part of the response
-        for (const part of response.candidates[0].content.parts) {
-            if (part.text) {
-                console.log('Text response:', part.text)
-                fs.writeFileSync(
-                    path.join(OUTPUT_FOLDER, `${filePrefix}_response.txt`),
-                    part.text
-                )
-            } else if (part.inlineData) {
-                console.log('Found image data in response')
-                const imageBuffer = Buffer.from(part.inlineData.data, 'base64')
-                fs.writeFileSync(
-                    path.join(OUTPUT_FOLDER, `${filePrefix}_processed.jpg`),
-                    imageBuffer
-                )
-                console.log(
-                    `Processed image saved to ${OUTPUT_FOLDER}/${filePrefix}_processed.jpg`
-                )
-            }
-        }
-
-        return true
-    } catch (error) {
-        console.error(`Error processing ${imagePath}:`, error)
-        if (error.response) {
-            console.error('Error Response:', error.response)
-        }
-        return false
-    }
-}
-
-async function removeWatermark() {
-    // Create output directory if it doesn't exist
-    if (!fs.existsSync(OUTPUT_FOLDER)) {
-        fs.mkdirSync(OUTPUT_FOLDER, { recursive: true })
-    }
-
-    // Create downloads directory if it doesn't exist
-    if (!fs.existsSync(DOWNLOADS_FOLDER)) {
-        fs.mkdirSync(DOWNLOADS_FOLDER, { recursive: true })
-    }
-
-    console.log(`Starting to process ${imageUrls.length} images`)
-
-    for (const url of imageUrls) {
-        const filename = path.basename(url).split('?')[0] // Remove query parameters
-        const downloadPath = path.join(DOWNLOADS_FOLDER, filename)
-
-        // Download the image
-        console.log(`Downloading image from ${url}`)
-        const downloadSuccess = await downloadImage(url, downloadPath)
-
-        if (downloadSuccess) {
-            // Process the downloaded image
-            await processImage(downloadPath)
-        }
-    }
-
-    console.log('All images have been processed!')
-}
-
-// Run the function
-removeWatermark()
@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    createFakeClock,
+    createStubProvider,
+    createTestPipeline,
+    removalResponse,
+    solidImage,
+} from './helpers.js'
+
+const PROMPT = 'Remove the watermark.'
+const DONE = removalResponse({ parts: [{ text: 'no watermark' }] })
+
+describe('removeWatermarkWithRetry', () => {
+    it('backs off exponentially on rate limits and then succeeds', async () => {
+        const clock = createFakeClock()
+        const provider = createStubProvider({
+            remove: [
+                new Error('[429 Too Many Requests] Resource exhausted'),
+                new Error('[429 Too Many Requests] Resource exhausted'),
+                DONE,
+            ],
+        })
+        const pipeline = createTestPipeline({ provider, sleep: clock.sleep })
+        const events = []
+
+        const response = await pipeline.removeWatermarkWithRetry(
+            Buffer.from('image'),
+            'photo.jpg',
+            PROMPT,
+            { onProgress: (event, details) => events.push([event, details]) }
+        )
+
+        assert.equal(response, DONE)
+        assert.equal(provider.calls.remove.length, 3)
+        assert.deepEqual(clock.waits, [30000, 60000])
+        assert.deepEqual(events, [
+            ['attempt', { attempt: 1, maxAttempts: 4 }],
+            ['backoff', { attempt: 1, waitMs: 30000 }],
+            ['attempt', { attempt: 2, maxAttempts: 4 }],
+            ['backoff', { attempt: 2, waitMs: 60000 }],
+            ['attempt', { attempt: 3, maxAttempts: 4 }],
+        ])
+    })
+
+    it('retries overloaded services', async () => {
+        const clock = createFakeClock()
+        const provider = createStubProvider({
+            remove: [new Error('[503 Service Unavailable] overloaded'), DONE],
+        })
+        const pipeline = createTestPipeline({ provider, sleep: clock.sleep })
+
+        await pipeline.removeWatermarkWithRetry(
+            Buffer.from('image'),
+            'photo.jpg',
+            PROMPT
+        )
+        assert.deepEqual(clock.waits, [30000])
+    })
+
+    it('gives up after the last retry', async () => {
+        const clock = createFakeClock()
+        const provider = createStubProvider({
+            remove: Array.from(
+                { length: 4 },
+                () => new Error('[503 Service Unavailable] overloaded')
+            ),
+        })
+        const pipeline = createTestPipeline({ provider, sleep: clock.sleep })
+
+        await assert.rejects(
+            pipeline.removeWatermarkWithRetry(
+                Buffer.from('image'),
+                'photo.jpg',
+                PROMPT
+            ),
+            (error) => {
+                assert.equal(error.code, 'UPSTREAM_RATE_LIMITED')
+                assert.equal(error.status, 503)
+                assert.match(error.message, /^Service error after 3 retries/)
+                return true
+            }
+        )
+        assert.equal(provider.calls.remove.length, 4)
+        assert.deepEqual(clock.waits, [30000, 60000, 120000])
+    })
+
+    it('uses the given retry count and initial delay', async () => {
+        const clock = createFakeClock()
+        const provider = createStubProvider({
+            remove: [
+                new Error('429'),
+                new Error('429'),
+                new Error('429'),
+                DONE,
+            ],
+        })
+        const pipeline = createTestPipeline({ provider, sleep: clock.sleep })
+
+        await assert.rejects(
+            pipeline.removeWatermarkWithRetry(
+                Buffer.from('image'),
+                'photo.jpg',
+                PROMPT,
+                { maxRetries: 1, initialDelay: 100 }
+            ),
+            /Service error after 1 retries/
+        )
+        assert.equal(provider.calls.remove.length, 2)
+        assert.deepEqual(clock.waits, [100])
+    })
+
+    it('does not retry other errors or pass their message on', async () => {
+        const clock = createFakeClock()
+        const provider = createStubProvider({
+            remove: [new Error('[400 Bad Request] API key not valid')],
+        })
+        const pipeline = createTestPipeline({ provider, sleep: clock.sleep })
+
+        await assert.rejects(
+            pipeline.removeWatermarkWithRetry(
+                Buffer.from('image'),
+                'photo.jpg',
+                PROMPT
+            ),
+            (error) => {
+                assert.equal(error.code, 'UPSTREAM_ERROR')
+                assert.equal(error.status, 502)
+                assert.doesNotMatch(error.message, /API key/)
+                assert.match(error.cause.message, /API key not valid/)
+                return true
+            }
+        )
+        assert.equal(provider.calls.remove.length, 1)
+        assert.deepEqual(clock.waits, [])
+    })
+
+    it('reports backoffs as job progress during removal', async () => {
+        const clock = createFakeClock()
+        const provider = createStubProvider({
+            remove: [new Error('429 Too Many Requests'), DONE],
+        })
+        const pipeline = createTestPipeline({ provider, sleep: clock.sleep })
+        const updates = []
+
+        const { result } = await pipeline.remove(
+            await solidImage(16, 16).jpeg().toBuffer(),
+            'photo.jpg',
+            { prompt: PROMPT, progress: (update) => updates.push(update) }
+        )
+
+        assert.equal(result.watermarkRemoved, false)
+        const backoff = updates.find((update) => update.stage === 'backoff')
+        assert.equal(backoff.state, 'retrying')
+        assert.deepEqual(backoff.stageDetails, { attempt: 1, waitMs: 30000 })
+        assert.ok(!Number.isNaN(Date.parse(backoff.retryAt)))
+        const retry = updates.filter((update) => update.stage === 'attempt')[1]
+        assert.equal(retry.state, 'retrying')
+        assert.equal(retry.attempts, 2)
+    })
+
+    it('backs off on rate limits while detecting tiles', async () => {
+        const clock = createFakeClock()
+        const provider = createStubProvider({
+            detect: [
+                new Error('[429 Too Many Requests] Resource exhausted'),
+                JSON.stringify({ hasWatermark: false, explanation: 'Clean' }),
+            ],
+        })
+        const pipeline = createTestPipeline({ provider, sleep: clock.sleep })
+        const updates = []
+
+        const { result } = await pipeline.remove(
+            await solidImage(16, 16).jpeg().toBuffer(),
+            'photo.jpg',
+            {
+                prompt: PROMPT,
+                tiling: 'on',
+                progress: (update) => updates.push(update),
+            }
+        )
+
+        assert.deepEqual(result.tiles, { total: 1, flagged: 0, processed: 0 })
+        assert.equal(provider.calls.detect.length, 2)
+        assert.equal(provider.calls.remove.length, 0)
+        assert.deepEqual(clock.waits, [30000])
+        assert.ok(updates.some((update) => update.stage === 'backoff'))
+    })
+})
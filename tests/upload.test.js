@@ -0,0 +1,275 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import AdmZip from 'adm-zip'
+import {
+    getUploadLimits,
+    sanitizeSvg,
+    UploadError,
+    validateImageUpload,
+} from '../src/upload.js'
+import { expandBatchUploads } from '../src/batch.js'
+import { solidImage } from './helpers.js'
+
+// Helper function to expect an UploadError with the given code and status
+async function assertRejected(promise, code, status) {
+    await assert.rejects(promise, (error) => {
+        assert.ok(error instanceof UploadError)
+        assert.equal(error.code, code)
+        assert.equal(error.status, status)
+        return true
+    })
+}
+
+// Helper function to build a two-frame animation in the given format
+async function animation(format) {
+    const frames = await Promise.all(
+        [
+            { r: 255, g: 0, b: 0 },
+            { r: 0, g: 255, b: 0 },
+        ].map((color) => solidImage(8, 8, color).png().toBuffer())
+    )
+    return sharp(frames, { join: { animated: true } })
+        [format]()
+        .toBuffer()
+}
+
+describe('getUploadLimits', () => {
+    it('reads limits from the environment, where 0 disables them', () => {
+        assert.deepEqual(getUploadLimits({}), {
+            maxBytes: 20 * 1024 * 1024,
+            maxRequestBytes: 100 * 1024 * 1024,
+            maxPixels: 40000000,
+            allowAnimated: false,
+        })
+        assert.deepEqual(
+            getUploadLimits({
+                UPLOAD_MAX_MB: '0',
+                UPLOAD_MAX_REQUEST_MB: '5',
+                UPLOAD_MAX_PIXELS: 'lots',
+                UPLOAD_ALLOW_ANIMATED: 'true',
+            }),
+            {
+                maxBytes: 0,
+                maxRequestBytes: 5 * 1024 * 1024,
+                maxPixels: 40000000,
+                allowAnimated: true,
+            }
+        )
+    })
+})
+
+describe('validateImageUpload', () => {
+    it('accepts an image and reports its size', async () => {
+        const image = await solidImage(30, 20).png().toBuffer()
+        const result = await validateImageUpload(image, 'photo.png')
+        assert.equal(result.buffer, image)
+        assert.equal(result.filename, 'photo.png')
+        assert.equal(result.format, '.png')
+        assert.deepEqual([result.width, result.height], [30, 20])
+        assert.equal(result.pages, 1)
+    })
+
+    it('names files after their real format', async () => {
+        const jpeg = await solidImage(8, 8).jpeg().toBuffer()
+        const tiff = await solidImage(8, 8).tiff().toBuffer()
+        assert.equal(
+            (await validateImageUpload(jpeg, 'photo.png')).filename,
+            'photo.jpg'
+        )
+        assert.equal(
+            (await validateImageUpload(jpeg, 'photo.JPEG')).filename,
+            'photo.JPEG'
+        )
+        assert.equal(
+            (await validateImageUpload(tiff, 'scan.tif')).filename,
+            'scan.tif'
+        )
+        assert.equal((await validateImageUpload(jpeg)).filename, 'image.jpg')
+    })
+
+    it('rejects files over the byte limit with 413', async () => {
+        const image = await solidImage(64, 64).png().toBuffer()
+        await assertRejected(
+            validateImageUpload(image, 'photo.png', {
+                maxBytes: image.length - 1,
+            }),
+            'FILE_TOO_LARGE',
+            413
+        )
+    })
+
+    it('rejects images over the pixel limit with 413', async () => {
+        const image = await solidImage(101, 100).png().toBuffer()
+        await assertRejected(
+            validateImageUpload(image, 'photo.png', { maxPixels: 10000 }),
+            'IMAGE_TOO_LARGE',
+            413
+        )
+        const svg = Buffer.from(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="100000" height="100000"/>'
+        )
+        await assertRejected(
+            validateImageUpload(svg, 'bomb.svg', { maxPixels: 10000 }),
+            'IMAGE_TOO_LARGE',
+            413
+        )
+    })
+
+    it('rejects content that is not a supported image with 415', async () => {
+        const bmp = Buffer.alloc(58)
+        bmp.write('BM', 0)
+        for (const [buffer, name] of [
+            [Buffer.from('just some text'), 'photo.jpg'],
+            [Buffer.from('%PDF-1.7\n'), 'photo.png'],
+            [bmp, 'photo.bmp'],
+        ]) {
+            await assertRejected(
+                validateImageUpload(buffer, name),
+                'UNSUPPORTED_FORMAT',
+                415
+            )
+        }
+    })
+
+    it('rejects damaged images with 400', async () => {
+        const image = await solidImage(64, 64).png().toBuffer()
+        await assertRejected(
+            validateImageUpload(image.subarray(0, 40), 'photo.png'),
+            'INVALID_IMAGE',
+            400
+        )
+    })
+
+    for (const format of ['gif', 'webp', 'tiff']) {
+        it(`rejects multi-frame ${format} unless allowed`, async () => {
+            const image = await animation(format)
+            await assertRejected(
+                validateImageUpload(image, `anim.${format}`),
+                'ANIMATED_IMAGE',
+                415
+            )
+            const result = await validateImageUpload(image, `anim.${format}`, {
+                allowAnimated: true,
+            })
+            assert.equal(result.pages, 2)
+        })
+    }
+
+    it('returns the sanitised SVG', async () => {
+        const svg = Buffer.from(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"><script>alert(1)</script><rect width="8" height="8"/></svg>'
+        )
+        const result = await validateImageUpload(svg, 'logo.svg')
+        assert.equal(result.format, '.svg')
+        assert.doesNotMatch(result.buffer.toString(), /script/)
+        assert.deepEqual([result.width, result.height], [8, 8])
+    })
+
+    it('rejects an SVG relying on declared entities', async () => {
+        const svg = Buffer.from(
+            '<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY x SYSTEM "file:///etc/passwd">]><svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"><text>&x;</text></svg>'
+        )
+        await assertRejected(
+            validateImageUpload(svg, 'logo.svg'),
+            'INVALID_IMAGE',
+            400
+        )
+    })
+})
+
+describe('sanitizeSvg', () => {
+    const clean = (svg) => sanitizeSvg(Buffer.from(svg)).toString()
+
+    it('removes scripts, embedded documents and animations', () => {
+        const result = clean(
+            '<svg><script type="text/javascript">if (a < b) alert(1)</script><script href="x.js"/><foreignObject><div>hi</div></foreignObject><set attributeName="href" to="file:///x"/><rect/></svg>'
+        )
+        assert.equal(result, '<svg><rect/></svg>')
+    })
+
+    it('removes event handlers', () => {
+        assert.equal(
+            clean(
+                `<svg onload="alert(1)"><rect onclick='x()' onmouseover=y width="1"/></svg>`
+            ),
+            '<svg><rect width="1"/></svg>'
+        )
+    })
+
+    it('keeps only local and embedded bitmap links', () => {
+        const result = clean(
+            '<svg><use href="#a"/><image xlink:href="file:///etc/passwd"/><image href="https://example.com/x.png"/><image href="data:image/png;base64,AAAA"/><image href="data:image/svg+xml;base64,AAAA"/><a href="javascript:alert(1)"/></svg>'
+        )
+        assert.equal(
+            result,
+            '<svg><use href="#a"/><image/><image/><image href="data:image/png;base64,AAAA"/><image/><a/></svg>'
+        )
+    })
+
+    it('removes external style references', () => {
+        const result = clean(
+            `<svg><style>@import url(http://example.com/a.css); rect { fill: url(#g); stroke: url('file:///x') }</style><rect style="fill: url(https://example.com/p)"/></svg>`
+        )
+        assert.equal(
+            result,
+            '<svg><style> rect { fill: url(#g); stroke: none }</style><rect style="fill: none"/></svg>'
+        )
+    })
+
+    it('removes DOCTYPEs and entity declarations', () => {
+        const result = clean(
+            '<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY lol "lol"><!ENTITY lol2 "&lol;&lol;">]><svg/>'
+        )
+        assert.equal(result, '<?xml version="1.0"?><svg/>')
+    })
+})
+
+describe('expandBatchUploads', () => {
+    it('does not inflate archive entries over the byte limit', () => {
+        const zip = new AdmZip()
+        zip.addFile('small.png', Buffer.alloc(10, 1))
+        zip.addFile('large.png', Buffer.alloc(5000, 1))
+        const entries = expandBatchUploads(
+            [{ name: 'images.zip', buffer: zip.toBuffer() }],
+            { maxBytes: 1000 }
+        )
+        const large = entries.find((entry) => entry.name === 'large.png')
+        const small = entries.find((entry) => entry.name === 'small.png')
+        assert.equal(large.buffer, undefined)
+        assert.ok(large.error instanceof UploadError)
+        assert.equal(large.error.code, 'FILE_TOO_LARGE')
+        assert.equal(small.buffer.length, 10)
+    })
+    it('checks the number of files before inflating anything', () => {
+        const zip = new AdmZip()
+        for (let i = 0; i < 101; i++) {
+            zip.addFile(`image-${i}.png`, Buffer.alloc(10, 1))
+        }
+        assert.throws(
+            () =>
+                expandBatchUploads([
+                    { name: 'images.zip', buffer: zip.toBuffer() },
+                ]),
+            (error) => {
+                assert.equal(error.code, 'INVALID_INPUT')
+                assert.equal(error.status, 400)
+                return true
+            }
+        )
+    })
+
+    it('rejects archives that cannot be read as INVALID_INPUT', () => {
+        assert.throws(
+            () =>
+                expandBatchUploads([
+                    { name: 'images.zip', buffer: Buffer.from('not a zip') },
+                ]),
+            (error) => {
+                assert.equal(error.code, 'INVALID_INPUT')
+                assert.equal(error.status, 400)
+                return true
+            }
+        )
+    })
+})
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { addWatermark, normalizeWatermarkOptions } from '../src/watermark.js'
+import { solidImage } from './helpers.js'
+
+describe('addWatermark', () => {
+    it('tiles marks larger than the image', async () => {
+        const logo = await solidImage(64, 64, { r: 255, g: 0, b: 0 })
+            .png()
+            .toBuffer()
+
+        for (const [width, height, fields] of [
+            [32, 32, { text: 'Sample', fontSize: 2000 }],
+            [40, 400, { logo, scale: 1 }],
+        ]) {
+            const image = await solidImage(width, height, {
+                r: 0,
+                g: 0,
+                b: 255,
+            })
+                .png()
+                .toBuffer()
+            const { buffer } = await addWatermark(
+                image,
+                normalizeWatermarkOptions({ ...fields, position: 'tiled' })
+            )
+            const metadata = await sharp(buffer).metadata()
+            assert.equal(metadata.width, width)
+            assert.equal(metadata.height, height)
+        }
+    })
+})
+
+describe('normalizeWatermarkOptions', () => {
+    it('rejects overly long text', () => {
+        assert.ok(normalizeWatermarkOptions({ text: 'a'.repeat(200) }).text)
+        assert.throws(
+            () => normalizeWatermarkOptions({ text: 'a'.repeat(201) }),
+            /at most 200 characters/
+        )
+    })
+})